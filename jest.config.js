@@ -9,6 +9,7 @@
  * - testEnvironment: node (we're testing Node.js, not browser)
  * - testTimeout: 30000ms (tests can take time for DB operations)
  * - collectCoverageFrom: what files to include in coverage report
+ * - setupFiles: test env defaults (e.g. JWT secret)
  */
 
 export default {
@@ -28,6 +29,7 @@ export default {
     "^(\\.{1,2}/.*)\\.js$": "$1",
   },
   transform: {},
+  setupFiles: ["<rootDir>/tests/setup.js"],
   testMatch: [
     "**/tests/unit/**/*.test.js",
     "**/tests/integration/**/*.test.js",
@@ -0,0 +1,19 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_bookings_status" ADD VALUE IF NOT EXISTS 'held'`
+    );
+    await queryInterface.addColumn("bookings", "expiresAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // PostgreSQL can't drop a single ENUM value; 'held' stays in the type
+    await queryInterface.removeColumn("bookings", "expiresAt");
+  },
+};
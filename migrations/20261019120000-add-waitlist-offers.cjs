@@ -0,0 +1,19 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_bookings_status" ADD VALUE IF NOT EXISTS 'offered'`
+    );
+    for (const status of ["offered", "declined", "expired"]) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_waiting_lists_status" ADD VALUE IF NOT EXISTS '${status}'`
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // PostgreSQL can't drop single ENUM values; the new statuses stay
+  },
+};
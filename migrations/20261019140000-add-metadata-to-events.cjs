@@ -0,0 +1,50 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("events", "startsAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "endsAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "venueName", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "venueAddress", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "description", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "category", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "timezone", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "UTC",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const column of [
+      "timezone",
+      "category",
+      "description",
+      "venueAddress",
+      "venueName",
+      "endsAt",
+      "startsAt",
+    ]) {
+      await queryInterface.removeColumn("events", column);
+    }
+  },
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("events", "status", {
+      type: Sequelize.ENUM(
+        "draft",
+        "on_sale",
+        "sold_out",
+        "closed",
+        "cancelled"
+      ),
+      allowNull: false,
+      defaultValue: "draft",
+    });
+
+    // Existing events were bookable as soon as they were created
+    await queryInterface.sequelize.query(
+      `UPDATE "events"
+       SET "status" = CASE WHEN "availableTickets" > 0
+                           THEN 'on_sale'::"enum_events_status"
+                           ELSE 'sold_out'::"enum_events_status" END`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("events", "status");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_events_status"`
+    );
+  },
+};
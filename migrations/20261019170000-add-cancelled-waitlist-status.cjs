@@ -0,0 +1,14 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_waiting_lists_status" ADD VALUE IF NOT EXISTS 'cancelled'`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // PostgreSQL can't drop single ENUM values; the new status stays
+  },
+};
@@ -0,0 +1,70 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("ticket_tiers", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      eventId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "events",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      totalTickets: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      availableTickets: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("ticket_tiers", ["eventId", "name"], {
+      unique: true,
+    });
+
+    // Untiered events keep tierId null on their bookings and queue entries
+    for (const table of ["bookings", "waiting_lists"]) {
+      await queryInterface.addColumn(table, "tierId", {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "ticket_tiers",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("waiting_lists", "tierId");
+    await queryInterface.removeColumn("bookings", "tierId");
+    await queryInterface.dropTable("ticket_tiers");
+  },
+};
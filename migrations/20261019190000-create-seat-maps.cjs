@@ -0,0 +1,156 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("venues", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      ownerId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+
+    await queryInterface.createTable("sections", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      venueId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "venues",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("sections", ["venueId", "name"], {
+      unique: true,
+    });
+
+    await queryInterface.createTable("seats", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      sectionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "sections",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      row: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      rowIndex: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      number: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("seats", ["sectionId", "row", "number"], {
+      unique: true,
+    });
+
+    await queryInterface.addColumn("events", "venueId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "venues",
+        key: "id",
+      },
+      onDelete: "RESTRICT",
+    });
+
+    await queryInterface.createTable("booking_seats", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      eventId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "events",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      seatId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "seats",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "bookings",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    // One booking per seat per event: the database backs up the event lock
+    await queryInterface.addIndex("booking_seats", ["eventId", "seatId"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("booking_seats", ["bookingId"]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("booking_seats");
+    await queryInterface.removeColumn("events", "venueId");
+    await queryInterface.dropTable("seats");
+    await queryInterface.dropTable("sections");
+    await queryInterface.dropTable("venues");
+  },
+};
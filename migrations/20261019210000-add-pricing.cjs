@@ -0,0 +1,39 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("events", "price", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("events", "currency", {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: "USD",
+    });
+
+    // Snapshot taken when a booking is confirmed (null until then)
+    await queryInterface.addColumn("bookings", "unitPrice", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("bookings", "totalPrice", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("bookings", "currency", {
+      type: Sequelize.STRING(3),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const column of ["currency", "totalPrice", "unitPrice"]) {
+      await queryInterface.removeColumn("bookings", column);
+    }
+    await queryInterface.removeColumn("events", "currency");
+    await queryInterface.removeColumn("events", "price");
+  },
+};
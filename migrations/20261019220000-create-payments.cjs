@@ -0,0 +1,76 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("payments", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "bookings",
+          key: "id",
+        },
+        onDelete: "RESTRICT",
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      providerReference: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "pending",
+          "authorized",
+          "captured",
+          "declined",
+          "failed",
+          "refunded"
+        ),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      refundedAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failureReason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("payments", ["bookingId"]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("payments");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_payments_status"`
+    );
+  },
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // null = always refund in full
+    await queryInterface.addColumn("events", "refundPolicy", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable("refunds", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "bookings",
+          key: "id",
+        },
+        onDelete: "RESTRICT",
+      },
+      paymentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "payments",
+          key: "id",
+        },
+        onDelete: "RESTRICT",
+      },
+      reason: {
+        type: Sequelize.ENUM(
+          "booking_cancelled",
+          "event_cancelled",
+          "booking_expired"
+        ),
+        allowNull: false,
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      percent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "refunded", "failed", "not_refundable"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      failureReason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("refunds", ["bookingId"]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("refunds");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_refunds_reason"`
+    );
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_refunds_status"`
+    );
+    await queryInterface.removeColumn("events", "refundPolicy");
+  },
+};
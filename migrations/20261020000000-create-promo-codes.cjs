@@ -0,0 +1,148 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("promo_codes", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      code: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      discountType: {
+        type: Sequelize.ENUM("percent", "fixed"),
+        allowNull: false,
+      },
+      discountValue: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      // 'fixed' codes only; null for 'percent'
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+      },
+      // null = no limit
+      maxRedemptions: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      perUserLimit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      validFrom: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      validUntil: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // null = any event / any tier
+      eventId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "events",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      tierId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "ticket_tiers",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      createdBy: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+
+    await queryInterface.addColumn("bookings", "promoCodeId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "promo_codes",
+        key: "id",
+      },
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addColumn("bookings", "discountAmount", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+    });
+
+    await queryInterface.createTable("promo_redemptions", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      promoCodeId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "promo_codes",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      // One code per booking
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: "bookings",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      userId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("promo_redemptions", [
+      "promoCodeId",
+      "userId",
+    ]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("promo_redemptions");
+    await queryInterface.removeColumn("bookings", "discountAmount");
+    await queryInterface.removeColumn("bookings", "promoCodeId");
+    await queryInterface.dropTable("promo_codes");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_promo_codes_discountType"`
+    );
+  },
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("events", "presaleStartAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "presaleEndAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    // null = no cap beyond the event's own tickets
+    await queryInterface.addColumn("events", "presaleCapacity", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "presaleAccessCodes", {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("events", "presaleUserIds", {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("bookings", "presale", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("bookings", "presale");
+    await queryInterface.removeColumn("events", "presaleUserIds");
+    await queryInterface.removeColumn("events", "presaleAccessCodes");
+    await queryInterface.removeColumn("events", "presaleCapacity");
+    await queryInterface.removeColumn("events", "presaleEndAt");
+    await queryInterface.removeColumn("events", "presaleStartAt");
+  },
+};
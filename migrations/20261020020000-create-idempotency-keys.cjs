@@ -0,0 +1,74 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("idempotency_keys", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      endpoint: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      requestHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("in_progress", "completed"),
+        allowNull: false,
+        defaultValue: "in_progress",
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      responseBody: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      lockedUntil: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      leaseId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("idempotency_keys", ["userId", "key"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("idempotency_keys", ["expiresAt"]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("idempotency_keys");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_idempotency_keys_status"`
+    );
+  },
+};
@@ -2,6 +2,7 @@ import dotenv from "dotenv";
 import app from "./src/app.js";
 import sequelize from "./src/config/database.js";
 import logger from "./src/utils/logger.js";
+import { startHoldSweeper, stopHoldSweeper } from "./src/jobs/holdSweeper.js";
 
 dotenv.config();
 
@@ -15,6 +16,7 @@ const HOST = process.env.HOST || "localhost";
  * 1. Connects to database
  * 2. Syncs models with database
  * 3. Starts Express server
+ * 4. Starts background jobs (hold sweeper)
  *
  * FLOW:
  * node server.js
@@ -27,6 +29,8 @@ const HOST = process.env.HOST || "localhost";
  *      ↓
  * Start Express on PORT 3000
  *      ↓
+ * Start hold sweeper
+ *      ↓
  * Ready to accept requests!
  */
 
@@ -48,6 +52,9 @@ const startServer = async () => {
       logger.info(`Environment: ${process.env.NODE_ENV}`);
     });
 
+    // Release expired ticket holds in the background
+    startHoldSweeper();
+
     // Graceful shutdown
 
     // Graceful shutdown process.
@@ -63,6 +70,7 @@ const startServer = async () => {
      */
     process.on("SIGTERM", () => {
       logger.info("SIGTERM received, shutting down gracefully...");
+      stopHoldSweeper();
       server.close(async () => {
         await sequelize.close();
         process.exit(0);
@@ -71,6 +79,7 @@ const startServer = async () => {
 
     process.on("SIGINT", () => {
       logger.info("SIGINT received, shutting down gracefully...");
+      stopHoldSweeper();
       server.close(async () => {
         await sequelize.close();
         process.exit(0);
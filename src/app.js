@@ -1,6 +1,9 @@
 import express from "express";
 import dotenv from "dotenv";
 import bookingRoutes from "./routes/bookingRoutes.js";
+import eventRoutes from "./routes/eventRoutes.js";
+import venueRoutes from "./routes/venueRoutes.js";
+import promoCodeRoutes from "./routes/promoCodeRoutes.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import logger from "./utils/logger.js";
 import { formatDateReadable } from "./utils/dateFormatter.js";
@@ -52,6 +55,9 @@ app.get("/health", (req, res) => {
 
 // Main API routes
 app.use(bookingRoutes);
+app.use(eventRoutes);
+app.use(venueRoutes);
+app.use(promoCodeRoutes);
 
 // 404 handler (if route not found)
 app.use((req, res) => {
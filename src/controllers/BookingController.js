@@ -1,3 +1,4 @@
+import { ConnectionError, DatabaseError, TimeoutError } from "sequelize";
 import bookingService from "../services/BookingService.js";
 import logger from "../utils/logger.js";
 
@@ -21,17 +22,49 @@ import logger from "../utils/logger.js";
  * Database Models
  *      ↓
  * PostgreSQL
+ *
+ * A refused payment answers 402 Payment Required, other errors 400.
+ * Transient database failures (a lock timeout, a lost connection) answer
+ * 503: the request may well work if retried, so the Idempotency-Key
+ * middleware doesn't store them either
  */
 
+// Postgres lock_not_available, serialization_failure, deadlock_detected
+// and query_canceled (statement timeout)
+const TRANSIENT_DB_ERROR_CODES = ["55P03", "40001", "40P01", "57014"];
+
+const isTransientError = (error) =>
+  error instanceof ConnectionError ||
+  error instanceof TimeoutError ||
+  (error instanceof DatabaseError &&
+    TRANSIENT_DB_ERROR_CODES.includes(error.parent?.code));
+
+const errorStatus = (error) => {
+  if (isTransientError(error)) return 503;
+  return error.message.startsWith("Payment failed") ? 402 : 400;
+};
+
 class BookingController {
   /**
    * Initialize Event
-   * POST /initialize
+   * POST /initialize (organizer or admin)
+   *
+   * The authenticated user becomes the event owner
    *
    * REQUEST BODY:
    * {
    *   "name": "Concert Event",
-   *   "totalTickets": 100
+   *   "totalTickets": 100,
+   *   "startsAt": "2026-12-01T19:00:00Z",     (optional, ISO date)
+   *   "endsAt": "2026-12-01T23:00:00Z",       (optional, after startsAt)
+   *   "venueName": "Eko Hall",                (optional)
+   *   "venueAddress": "1 Marina, Lagos",      (optional)
+   *   "description": "...",                   (optional)
+   *   "category": "music",                    (optional)
+   *   "timezone": "Africa/Lagos",             (optional IANA name, default UTC)
+   *   "tiers": [                              (optional; totalTickets is then
+   *     { "name": "VIP", "price": 150, "totalTickets": 20 }   their sum)
+   *   ]
    * }
    *
    * RESPONSE:
@@ -42,10 +75,15 @@ class BookingController {
    */
   async initializeEvent(req, res) {
     try {
-      const { name, totalTickets } = req.body;
+      const { name, totalTickets, ...details } = req.body;
 
       // Call service
-      const event = await bookingService.initializeEvent(name, totalTickets);
+      const event = await bookingService.initializeEvent(
+        name,
+        totalTickets,
+        req.user.id,
+        details
+      );
 
       res.status(201).json({
         success: true,
@@ -54,7 +92,7 @@ class BookingController {
       });
     } catch (error) {
       logger.error(`Initialize event error: ${error.message}`);
-      return res.status(400).json({
+      return res.status(errorStatus(error)).json({
         success: false,
         message: error.message,
       });
@@ -68,27 +106,51 @@ class BookingController {
    * REQUEST BODY:
    * {
    *   "eventId": "uuid-here",
-   *   "userId": "user-123"
+   *   "userId": "user-123",
+   *   "quantity": 4,           (optional, default 1)
+   *   "tierId": "uuid-here",   (required if the event has ticket tiers)
+   *   "seatIds": ["uuid", ...] (required if the event has a seat map;
+   *                             replaces quantity)
+   *   "paymentMethod": "tok_..." (required for paid tickets)
+   *   "promoCode": "EARLYBIRD"   (optional discount code)
+   *   "accessCode": "FANCLUB"    (needed during a presale, unless invited)
    * }
    *
    * RESPONSE:
    * {
    *   "success": true,
-   *   "data": { booking object },
+   *   "data": { booking object, plus seats for seated events },
    *   "message": "Ticket booked successfully" or "Added to waiting list"
    * }
    */
   async bookTicket(req, res) {
     try {
-      const { eventId, userId } = req.body;
+      const {
+        eventId,
+        userId,
+        quantity,
+        tierId,
+        seatIds,
+        paymentMethod,
+        promoCode,
+        accessCode,
+      } = req.body;
 
       // Call service
-      const booking = await bookingService.bookTicket(eventId, userId);
+      const booking = await bookingService.bookTicket(
+        eventId,
+        userId,
+        quantity,
+        { tierId, seatIds, paymentMethod, promoCode, accessCode }
+      );
 
-      const message =
-        booking.status === "confirmed"
-          ? "Ticket booked successfully"
-          : `Added to waiting list at position ${booking.position}`;
+      let message = `Added to waiting list at position ${booking.position}`;
+      if (booking.status === "confirmed") {
+        message =
+          booking.quantity > 1
+            ? `${booking.quantity} tickets booked successfully`
+            : "Ticket booked successfully";
+      }
 
       res.status(201).json({
         success: true,
@@ -97,7 +159,7 @@ class BookingController {
       });
     } catch (error) {
       logger.error(`Book ticket error: ${error.message}`);
-      return res.status(400).json({
+      return res.status(errorStatus(error)).json({
         success: false,
         message: error.message,
       });
@@ -111,7 +173,8 @@ class BookingController {
    * REQUEST BODY:
    * {
    *   "eventId": "uuid-here",
-   *   "userId": "user-123"
+   *   "userId": "user-123",
+   *   "quantity": 2            (optional, default: whole booking)
    * }
    *
    * RESPONSE:
@@ -119,21 +182,36 @@ class BookingController {
    *   "success": true,
    *   "data": {
    *     "cancelledBooking": { booking object },
-   *     "assignedUser": { booking object or null }
+   *     "releasedTickets": 2,
+   *     "assignedUser": { booking object or null },
+   *     "assignedUsers": [ every booking offered the freed tickets ],
+   *     "refund": { amount, currency, percent, status, ... } or null
    *   },
-   *   "message": "Booking cancelled..." or "Booking cancelled and next user assigned..."
+   *   "message": "Booking cancelled..." or "Booking cancelled and ticket offered..."
    * }
    */
   async cancelBooking(req, res) {
     try {
-      const { eventId, userId } = req.body;
+      const { eventId, userId, quantity } = req.body;
 
       // Call service
-      const result = await bookingService.cancelBooking(eventId, userId);
+      const result = await bookingService.cancelBooking(
+        eventId,
+        userId,
+        quantity
+      );
 
-      const message = result.assignedUser
-        ? `Booking cancelled and next waiting user (${result.assignedUser.userId}) assigned`
-        : "Booking cancelled successfully";
+      let message =
+        result.cancelledBooking.status === "cancelled"
+          ? "Booking cancelled successfully"
+          : `${result.releasedTickets} ticket(s) released from booking`;
+      if (result.assignedUsers.length > 0) {
+        const userIds = result.assignedUsers.map((b) => b.userId).join(", ");
+        message =
+          result.assignedUsers.length === 1
+            ? `Booking cancelled and ticket offered to next waiting user (${userIds})`
+            : `Booking cancelled and tickets offered to waiting users (${userIds})`;
+      }
 
       res.status(200).json({
         success: true,
@@ -142,7 +220,386 @@ class BookingController {
       });
     } catch (error) {
       logger.error(`Cancel booking error: ${error.message}`);
-      return res.status(400).json({
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Hold Tickets
+   * POST /hold
+   *
+   * REQUEST BODY:
+   * {
+   *   "eventId": "uuid-here",
+   *   "userId": "user-123",
+   *   "quantity": 2,           (optional, default 1)
+   *   "tierId": "uuid-here",   (required if the event has ticket tiers)
+   *   "seatIds": ["uuid", ...] (required if the event has a seat map)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { booking object with status 'held' and expiresAt },
+   *   "message": "Tickets held until ..."
+   * }
+   */
+  async holdTicket(req, res) {
+    try {
+      const { eventId, userId, quantity, tierId, seatIds } = req.body;
+
+      // Call service
+      const booking = await bookingService.holdTicket(
+        eventId,
+        userId,
+        quantity,
+        { tierId, seatIds }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Tickets held until ${booking.expiresAt}`,
+        data: booking,
+      });
+    } catch (error) {
+      logger.error(`Hold ticket error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Confirm Hold
+   * POST /confirm
+   *
+   * REQUEST BODY:
+   * {
+   *   "eventId": "uuid-here",
+   *   "userId": "user-123",
+   *   "paymentMethod": "tok_..."  (required for paid tickets)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { booking object with status 'confirmed' },
+   *   "message": "Booking confirmed"
+   * }
+   */
+  async confirmHold(req, res) {
+    try {
+      const { eventId, userId, paymentMethod } = req.body;
+
+      // Call service
+      const booking = await bookingService.confirmHold(
+        eventId,
+        userId,
+        paymentMethod
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Booking confirmed",
+        data: booking,
+      });
+    } catch (error) {
+      logger.error(`Confirm hold error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Accept Waitlist Offer
+   * POST /offer/accept
+   *
+   * REQUEST BODY:
+   * {
+   *   "eventId": "uuid-here",
+   *   "userId": "user-123",
+   *   "paymentMethod": "tok_..."  (required for paid tickets)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { booking object with status 'confirmed' },
+   *   "message": "Offer accepted, booking confirmed"
+   * }
+   */
+  async acceptOffer(req, res) {
+    try {
+      const { eventId, userId, paymentMethod } = req.body;
+
+      // Call service
+      const booking = await bookingService.acceptOffer(
+        eventId,
+        userId,
+        paymentMethod
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Offer accepted, booking confirmed",
+        data: booking,
+      });
+    } catch (error) {
+      logger.error(`Accept offer error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Decline Waitlist Offer
+   * POST /offer/decline
+   *
+   * REQUEST BODY:
+   * {
+   *   "eventId": "uuid-here",
+   *   "userId": "user-123"
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": {
+   *     "declinedBooking": { booking object },
+   *     "nextOffers": [ bookings offered to the next people in line ]
+   *   },
+   *   "message": "Offer declined"
+   * }
+   */
+  async declineOffer(req, res) {
+    try {
+      const { eventId, userId } = req.body;
+
+      // Call service
+      const result = await bookingService.declineOffer(eventId, userId);
+
+      res.status(200).json({
+        success: true,
+        message: "Offer declined",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Decline offer error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Leave Waiting List
+   * POST /waitlist/leave
+   *
+   * REQUEST BODY:
+   * {
+   *   "eventId": "uuid-here",
+   *   "userId": "user-123"
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { booking object with status 'cancelled' },
+   *   "message": "Left the waiting list"
+   * }
+   */
+  async leaveWaitingList(req, res) {
+    try {
+      const { eventId, userId } = req.body;
+
+      // Call service
+      const booking = await bookingService.leaveWaitingList(eventId, userId);
+
+      res.status(200).json({
+        success: true,
+        message: "Left the waiting list",
+        data: booking,
+      });
+    } catch (error) {
+      logger.error(`Leave waiting list error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Change Event Status
+   * POST /events/:eventId/status (event owner or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "status": "on_sale" | "closed" | "cancelled"
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { updated event object },
+   *   "message": "Event status changed to on_sale"
+   * }
+   */
+  async changeEventStatus(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { status } = req.body;
+
+      // Call service
+      const event = await bookingService.changeEventStatus(eventId, status);
+
+      res.status(200).json({
+        success: true,
+        message: `Event status changed to ${event.status}`,
+        data: event,
+      });
+    } catch (error) {
+      logger.error(`Change event status error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel Event
+   * POST /events/:eventId/cancel (event owner or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "reason": "Artist unwell"     (optional, passed on to users)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": {
+   *     "event": { event object with status 'cancelled' },
+   *     "summary": { "total": 5, "confirmed": 3, "held": 0, "offered": 0, "waiting": 2 },
+   *     "affectedUsers": [ { "userId", "previousStatus", "quantity", "refund" } ]
+   *   },
+   *   "message": "Event cancelled, 5 booking(s) cancelled"
+   * }
+   */
+  async cancelEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { reason } = req.body;
+
+      // Call service
+      const result = await bookingService.cancelEvent(eventId, reason);
+
+      res.status(200).json({
+        success: true,
+        message: `Event cancelled, ${result.summary.total} booking(s) cancelled`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Cancel event error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Change Event Capacity
+   * PATCH /events/:eventId/capacity (event owner or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "totalTickets": 150,
+   *   "tierId": "uuid-here"    (required if the event has ticket tiers)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": {
+   *     "event": { updated event object },
+   *     "tier": { updated tier object, or null },
+   *     "offeredUsers": [ waiting users offered the new tickets ]
+   *   },
+   *   "message": "Capacity changed to 150"
+   * }
+   */
+  async changeCapacity(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { totalTickets, tierId } = req.body;
+
+      // Call service
+      const result = await bookingService.changeCapacity(
+        eventId,
+        totalTickets,
+        tierId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Capacity changed to ${totalTickets}`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Change capacity error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get Waiting List Position
+   * GET /events/:eventId/waitlist/:userId
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": {
+   *     "eventId": "uuid",
+   *     "userId": "user-123",
+   *     "rank": 2,
+   *     "peopleAhead": 1,
+   *     "position": 7,
+   *     "quantity": 1,
+   *     "joinedAt": "27 Nov 2024 at 10:05:00 UTC"
+   *   }
+   * }
+   */
+  async getWaitingListPosition(req, res) {
+    try {
+      const { eventId, userId } = req.params;
+
+      // Call service
+      const position = await bookingService.getWaitingListPosition(
+        eventId,
+        userId
+      );
+
+      res.status(200).json({
+        success: true,
+        data: position,
+      });
+    } catch (error) {
+      logger.error(`Get waiting list position error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
         success: false,
         message: error.message,
       });
@@ -162,7 +619,14 @@ class BookingController {
    *     "totalTickets": 100,
    *     "availableTickets": 45,
    *     "bookedTickets": 55,
-   *     "waitingListCount": 10
+   *     "heldTickets": 0,
+   *     "offeredTickets": 0,
+   *     "waitingListCount": 10,
+   *     "tiers": [               (empty for events without tiers)
+   *       { "tierId": "uuid", "name": "VIP", "price": "150.00",
+   *         "totalTickets": 20, "availableTickets": 5, "bookedTickets": 15,
+   *         "heldTickets": 0, "offeredTickets": 0, "waitingListCount": 3 }
+   *     ]
    *   }
    * }
    */
@@ -179,7 +643,7 @@ class BookingController {
       });
     } catch (error) {
       logger.error(`Get event status error: ${error.message}`);
-      return res.status(400).json({
+      return res.status(errorStatus(error)).json({
         success: false,
         message: error.message,
       });
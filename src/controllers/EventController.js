@@ -0,0 +1,186 @@
+import eventService from "../services/EventService.js";
+import logger from "../utils/logger.js";
+
+/**
+ * EventController
+ *
+ * WHAT IT DOES:
+ * - Receives HTTP requests for browsing and managing events
+ * - Calls EventService
+ * - Formats and sends responses (404 when the event doesn't exist)
+ */
+
+const errorStatus = (error) =>
+  error.message === "Event not found" ? 404 : 400;
+
+class EventController {
+  /**
+   * List Events
+   * GET /events?page=1&limit=20&name=concert&available=true&sortBy=name&order=asc
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": [ event objects ],
+   *   "pagination": { "page": 1, "limit": 20, "total": 42, "totalPages": 3 }
+   * }
+   */
+  async listEvents(req, res) {
+    try {
+      // Call service
+      const { events, pagination } = await eventService.listEvents(req.query);
+
+      res.status(200).json({
+        success: true,
+        data: events,
+        pagination,
+      });
+    } catch (error) {
+      logger.error(`List events error: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get Event
+   * GET /events/:eventId
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { event object }
+   * }
+   */
+  async getEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      // Call service
+      const event = await eventService.getEvent(eventId);
+
+      res.status(200).json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      logger.error(`Get event error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update Event
+   * PATCH /events/:eventId (event owner or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "name": "New Event Name"
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { updated event object },
+   *   "message": "Event updated successfully"
+   * }
+   */
+  async updateEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      // Call service
+      const event = await eventService.updateEvent(eventId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: "Event updated successfully",
+        data: event,
+      });
+    } catch (error) {
+      logger.error(`Update event error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete Event
+   * DELETE /events/:eventId (event owner or admin)
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { "id": "uuid" },
+   *   "message": "Event deleted successfully"
+   * }
+   */
+  async deleteEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      // Call service
+      const result = await eventService.deleteEvent(eventId);
+
+      res.status(200).json({
+        success: true,
+        message: "Event deleted successfully",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Delete event error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Add Ticket Tier
+   * POST /events/:eventId/tiers (event owner or admin, draft events only)
+   *
+   * REQUEST BODY:
+   * {
+   *   "name": "VIP",
+   *   "price": 150,
+   *   "totalTickets": 50
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { "tier": { tier object }, "event": { event with new totals } },
+   *   "message": "Ticket tier added"
+   * }
+   */
+  async addTier(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      // Call service
+      const result = await eventService.addTier(eventId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Ticket tier added",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Add ticket tier error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new EventController();
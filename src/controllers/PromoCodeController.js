@@ -0,0 +1,64 @@
+import promoCodeService from "../services/PromoCodeService.js";
+import logger from "../utils/logger.js";
+
+/**
+ * PromoCodeController
+ *
+ * WHAT IT DOES:
+ * - Receives HTTP requests for creating promo codes
+ * - Calls PromoCodeService
+ * - Formats and sends responses (404 when the event doesn't exist)
+ */
+
+const errorStatus = (error) =>
+  error.message === "Event not found" ? 404 : 400;
+
+class PromoCodeController {
+  /**
+   * Create Promo Code
+   * POST /promo-codes (admin; any event, or the one in eventId)
+   * POST /events/:eventId/promo-codes (event owner or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "code": "EARLYBIRD",
+   *   "discountType": "percent",        ('percent' or 'fixed')
+   *   "discountValue": 20,
+   *   "maxRedemptions": 100,            (optional, default no limit)
+   *   "perUserLimit": 1,                (optional, default no limit)
+   *   "validFrom": "2026-06-01T00:00:00Z", (optional)
+   *   "validUntil": "2026-07-01T00:00:00Z", (optional)
+   *   "tierId": "uuid-here"             (optional, only this tier)
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { promo code object },
+   *   "message": "Promo code created"
+   * }
+   */
+  async createPromoCode(req, res) {
+    try {
+      // Call service (the URL's event wins over the body's)
+      const promoCode = await promoCodeService.createPromoCode(req.user.id, {
+        ...req.body,
+        ...req.params,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Promo code created",
+        data: promoCode,
+      });
+    } catch (error) {
+      logger.error(`Create promo code error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new PromoCodeController();
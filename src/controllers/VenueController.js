@@ -0,0 +1,168 @@
+import venueService from "../services/VenueService.js";
+import logger from "../utils/logger.js";
+
+/**
+ * VenueController
+ *
+ * WHAT IT DOES:
+ * - Receives HTTP requests for venues and seat maps
+ * - Calls VenueService
+ * - Formats and sends responses (404 when the venue, event or section
+ *   doesn't exist)
+ */
+
+const NOT_FOUND_MESSAGES = [
+  "Event not found",
+  "Venue not found",
+  "Section not found",
+];
+
+const errorStatus = (error) =>
+  NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400;
+
+class VenueController {
+  /**
+   * Create Venue
+   * POST /venues (organizer or admin)
+   *
+   * REQUEST BODY:
+   * {
+   *   "name": "National Theatre",
+   *   "address": "Iganmu, Lagos",        (optional)
+   *   "sections": [
+   *     { "name": "Stalls", "rows": [{ "row": "A", "seats": 12 }, { "row": "B", "seats": 14 }] }
+   *   ]
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { venue object, "sections": [{ "id", "name", "seatCount" }] }
+   * }
+   */
+  async createVenue(req, res) {
+    try {
+      // Call service
+      const venue = await venueService.createVenue(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Venue created successfully",
+        data: venue,
+      });
+    } catch (error) {
+      logger.error(`Create venue error: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get Venue
+   * GET /venues/:venueId
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { venue object, "sections": [{ "id", "name", "seatCount" }] }
+   * }
+   */
+  async getVenue(req, res) {
+    try {
+      const { venueId } = req.params;
+
+      // Call service
+      const venue = await venueService.getVenue(venueId);
+
+      res.status(200).json({
+        success: true,
+        data: venue,
+      });
+    } catch (error) {
+      logger.error(`Get venue error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Attach Seat Map
+   * POST /events/:eventId/seatmap (event owner or admin, draft events only)
+   *
+   * REQUEST BODY:
+   * {
+   *   "venueId": "uuid-here"
+   * }
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": { "event": { event object }, "sections": [ ... ] },
+   *   "message": "Seat map attached"
+   * }
+   */
+  async attachSeatMap(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { venueId } = req.body;
+
+      // Call service
+      const result = await venueService.attachSeatMap(eventId, venueId);
+
+      res.status(200).json({
+        success: true,
+        message: "Seat map attached",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Attach seat map error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get Seat Availability
+   * GET /events/:eventId/sections/:sectionId/seats
+   *
+   * RESPONSE:
+   * {
+   *   "success": true,
+   *   "data": {
+   *     "sectionName": "Stalls",
+   *     "totalSeats": 26,
+   *     "availableSeats": 20,
+   *     "rows": [
+   *       { "row": "A", "seats": [{ "seatId": "uuid", "number": 1, "status": "booked" }, ...] }
+   *     ]
+   *   }
+   * }
+   */
+  async getSeatAvailability(req, res) {
+    try {
+      const { eventId, sectionId } = req.params;
+
+      // Call service
+      const grid = await venueService.getSeatAvailability(eventId, sectionId);
+
+      res.status(200).json({
+        success: true,
+        data: grid,
+      });
+    } catch (error) {
+      logger.error(`Seat availability error: ${error.message}`);
+      return res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new VenueController();
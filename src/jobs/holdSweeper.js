@@ -0,0 +1,70 @@
+import bookingService from "../services/BookingService.js";
+import { purgeExpiredIdempotencyKeys } from "../middleware/idempotency.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Hold Sweeper (background job)
+ *
+ * WHAT IT DOES:
+ * - Every HOLD_SWEEP_INTERVAL_MS, releases held tickets whose expiresAt
+ *   has passed (BookingService.releaseExpiredHolds)
+ * - Also releases waitlist offers nobody accepted in time
+ *   (BookingService.releaseExpiredOffers)
+ * - Released tickets go back to availableTickets and are offered to the
+ *   next people on the waiting list
+ * - Deletes stored Idempotency-Key responses past their retry window
+ *
+ * SAFE WITH MANY INSTANCES:
+ * Every server runs its own sweeper, but each release happens under the
+ * event row lock, so two sweepers can never release the same hold twice
+ *
+ * USAGE (server.js):
+ * startHoldSweeper();
+ * ...
+ * stopHoldSweeper(); // on shutdown
+ */
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+let running = false;
+
+const sweep = async () => {
+  // Skip a tick if the previous sweep is still running
+  if (running) return;
+  running = true;
+
+  try {
+    const releasedHolds = await bookingService.releaseExpiredHolds();
+    const releasedOffers = await bookingService.releaseExpiredOffers();
+    if (releasedHolds > 0 || releasedOffers > 0) {
+      logger.info(
+        `Hold sweeper released ${releasedHolds} hold(s) and ${releasedOffers} offer(s)`
+      );
+    }
+    await purgeExpiredIdempotencyKeys();
+  } catch (error) {
+    logger.error(`Hold sweeper failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+export const startHoldSweeper = (
+  intervalMs = parseInt(process.env.HOLD_SWEEP_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  if (timer) return;
+
+  timer = setInterval(sweep, intervalMs);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  logger.info(`Hold sweeper started (every ${intervalMs}ms)`);
+};
+
+export const stopHoldSweeper = () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,216 @@
+import fs from "fs";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Joi from "joi";
+import { Event } from "../models/index.js";
+
+/**
+ * Authentication Middleware
+ *
+ * WHAT IT DOES:
+ * - Verifies the bearer token in the Authorization header
+ * - Puts the authenticated user on req.user (id = token "sub" claim,
+ *   role = token "role" claim, defaulting to 'attendee')
+ * - Stops users from booking/cancelling on behalf of someone else
+ * - Guards routes by role and by event ownership
+ *
+ * ROLES:
+ * - attendee: can book/cancel for themselves only
+ * - organizer: can also create events and manage the events they own
+ * - admin: can act on any event and on behalf of any user
+ *
+ * HOW TOKENS ARE VERIFIED:
+ * - HS256 tokens: checked against JWT_SECRET
+ * - RS256/ES256 tokens: checked against the public key in the local JWKS
+ *   file at JWT_JWKS_PATH, picked by the token's "kid" header
+ *
+ * USAGE:
+ * router.post('/book', authenticate, requireSelf, validate, handler);
+ * router.post('/initialize', authenticate, authorize('organizer', 'admin'), ...);
+ * router.patch('/events/:eventId', authenticate, requireEventOwner(), ...);
+ *
+ * ERRORS (handled by errorHandler):
+ * - 401: missing / invalid / expired token, unknown role
+ * - 403: wrong role, not the event owner, or token user differs from
+ *        userId in the request body
+ */
+
+export const ROLES = ["attendee", "organizer", "admin"];
+
+const ASYMMETRIC_ALGORITHMS = ["RS256", "ES256"];
+
+// Parsed JWKS files, keyed by path (read once, not on every request)
+const jwksCache = new Map();
+
+const createAuthError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const loadJwks = (jwksPath) => {
+  if (!jwksCache.has(jwksPath)) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, "utf8"));
+    jwksCache.set(jwksPath, keys);
+  }
+  return jwksCache.get(jwksPath);
+};
+
+/**
+ * Pick the verification key for a token based on its header
+ * (jsonwebtoken calls this before checking the signature)
+ */
+const getVerificationKey = (header, callback) => {
+  const secret = process.env.JWT_SECRET;
+  const jwksPath = process.env.JWT_JWKS_PATH;
+
+  if (header.alg === "HS256") {
+    if (!secret) {
+      return callback(new jwt.JsonWebTokenError("HS256 tokens not accepted"));
+    }
+    return callback(null, secret);
+  }
+
+  if (!jwksPath) {
+    return callback(new jwt.JsonWebTokenError(`${header.alg} not accepted`));
+  }
+
+  try {
+    const jwk = loadJwks(jwksPath).find((key) => key.kid === header.kid);
+    if (!jwk) {
+      return callback(new jwt.JsonWebTokenError("Unknown signing key"));
+    }
+    return callback(null, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+  } catch (error) {
+    return callback(error);
+  }
+};
+
+const verifyToken = (token) =>
+  new Promise((resolve, reject) => {
+    jwt.verify(
+      token,
+      getVerificationKey,
+      { algorithms: ["HS256", ...ASYMMETRIC_ALGORITHMS] },
+      (error, payload) => (error ? reject(error) : resolve(payload))
+    );
+  });
+
+/**
+ * authenticate
+ * Requires "Authorization: Bearer <token>" and sets req.user
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    if (!process.env.JWT_SECRET && !process.env.JWT_JWKS_PATH) {
+      throw createAuthError("Authentication is not configured", 500);
+    }
+
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      throw createAuthError("Authentication required", 401);
+    }
+
+    const payload = await verifyToken(token);
+    if (!payload.sub) {
+      throw createAuthError("Token has no subject", 401);
+    }
+
+    const role = payload.role || "attendee";
+    if (!ROLES.includes(role)) {
+      throw createAuthError("Token has an unknown role", 401);
+    }
+
+    req.user = { id: String(payload.sub), role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * requireSelf
+ * Binds req.body.userId to the authenticated user
+ * - userId missing from body → filled in from the token
+ * - userId belongs to someone else → 403 (admins are allowed through)
+ */
+export const requireSelf = (req, res, next) => {
+  const { userId } = req.body;
+
+  if (userId !== undefined && String(userId) !== req.user.id) {
+    if (req.user.role !== "admin") {
+      return next(createAuthError("Cannot act on behalf of another user", 403));
+    }
+    return next();
+  }
+
+  req.body.userId = req.user.id;
+  next();
+};
+
+/**
+ * requireSelfParam
+ * Middleware factory: like requireSelf, for routes that name the user in
+ * the URL (e.g. /events/:eventId/waitlist/:userId). Admins are allowed through
+ */
+export const requireSelfParam =
+  (paramName = "userId") =>
+  (req, res, next) => {
+    if (req.params[paramName] !== req.user.id && req.user.role !== "admin") {
+      return next(createAuthError("Cannot act on behalf of another user", 403));
+    }
+    next();
+  };
+
+/**
+ * authorize
+ * Middleware factory: only lets the given roles through
+ *
+ * USAGE:
+ * router.post('/initialize', authenticate, authorize('organizer', 'admin'), ...)
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(createAuthError("Insufficient permissions", 403));
+    }
+    next();
+  };
+
+/**
+ * requireEventOwner
+ * Middleware factory: only the organizer who owns the event (or an admin)
+ * gets through. paramName is the route param holding the event ID
+ */
+export const requireEventOwner =
+  (paramName = "eventId") =>
+  async (req, res, next) => {
+    try {
+      if (req.user.role === "admin") {
+        return next();
+      }
+      if (req.user.role !== "organizer") {
+        throw createAuthError("Insufficient permissions", 403);
+      }
+
+      const eventId = req.params[paramName];
+      if (Joi.string().uuid().validate(eventId).error) {
+        throw createAuthError("Event not found", 404);
+      }
+
+      const event = await Event.findByPk(eventId, {
+        attributes: ["id", "ownerId"],
+      });
+      if (!event) {
+        throw createAuthError("Event not found", 404);
+      }
+      if (event.ownerId !== req.user.id) {
+        throw createAuthError("Only the event organizer can manage it", 403);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
@@ -62,6 +62,16 @@ export const errorHandler = (err, req, res, next) => {
     message = "Invalid token";
   }
 
+  if (err.name === "TokenExpiredError") {
+    statusCode = 401;
+    message = "Token expired";
+  }
+
+  if (err.name === "NotBeforeError") {
+    statusCode = 401;
+    message = "Token not yet valid";
+  }
+
   // Send error response
   res.status(statusCode).json({
     success: false,
@@ -0,0 +1,275 @@
+import crypto from "crypto";
+import { Op, UniqueConstraintError } from "sequelize";
+import dotenv from "dotenv";
+import { IdempotencyKey } from "../models/index.js";
+import logger from "../utils/logger.js";
+
+dotenv.config();
+
+/**
+ * Idempotency Middleware
+ *
+ * WHAT IT DOES:
+ * - Lets clients retry POST /book and POST /cancel safely: a request sent
+ *   with an "Idempotency-Key: <unique value>" header runs ONCE, and every
+ *   retry with the same key gets the first response (status and body)
+ *   back, with an "Idempotent-Replayed: true" header
+ * - Requests without the header behave as before
+ *
+ * HOW IT WORKS:
+ * 1. Look up the user's key (keys are per authenticated user)
+ *    - completed → replay the stored response
+ *    - still running → 409 (the client should retry a bit later)
+ *    - used for another endpoint or body → 422
+ * 2. New key: store it 'in_progress' (a unique index makes sure only one
+ *    of two simultaneous first attempts gets through), run the request
+ * 3. Store the status and body before sending them. Server errors (5xx)
+ *    are NOT stored: the key is dropped so a retry runs again
+ *
+ * An 'in_progress' claim is a lease that runs out after
+ * IDEMPOTENCY_LEASE_MS: if the server died mid-request, the next retry
+ * takes the key over and runs the request instead of getting 409s until
+ * the key expires. A request renews its lease while it runs, and each
+ * lease has its own leaseId: a request whose lease was taken over anyway
+ * (e.g. the database was too slow to renew it) doesn't overwrite what
+ * the retry stored
+ *
+ * CONFIG (.env):
+ * - IDEMPOTENCY_KEY_TTL_MS: how long responses are kept for retries
+ *   (default 24 hours); the hold sweeper deletes older ones
+ * - IDEMPOTENCY_LEASE_MS: how long a running request keeps its key
+ *   (default 60 seconds, longer than any request should take)
+ *
+ * IMPORTANT: Put it AFTER authenticate and validation, right before the
+ * controller, so keys belong to req.user and the stored body is the
+ * validated one
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const KEY_TTL_MS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS, 10) || DEFAULT_TTL_MS;
+
+const DEFAULT_LEASE_MS = 60 * 1000;
+const LEASE_MS =
+  parseInt(process.env.IDEMPOTENCY_LEASE_MS, 10) || DEFAULT_LEASE_MS;
+
+const MAX_KEY_LENGTH = 255;
+
+const createIdempotencyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body ?? {}))
+    .digest("hex");
+
+const leaseUntil = (now) => new Date(now.getTime() + LEASE_MS);
+
+/**
+ * Throw if the key was stored for another endpoint or body
+ */
+const assertSameRequest = (record, endpoint, requestHash) => {
+  if (record.endpoint !== endpoint || record.requestHash !== requestHash) {
+    throw createIdempotencyError(
+      "Idempotency-Key was already used for a different request",
+      422
+    );
+  }
+};
+
+/**
+ * An 'in_progress' record whose lease ran out: the request that claimed
+ * it never finished
+ */
+const isAbandoned = (record, now) =>
+  record.status === "in_progress" && record.lockedUntil <= now;
+
+/**
+ * Answer from the stored record, or throw if it can't be replayed
+ */
+const replay = (record, endpoint, requestHash, res) => {
+  assertSameRequest(record, endpoint, requestHash);
+  if (record.status !== "completed") {
+    throw createIdempotencyError(
+      "A request with this Idempotency-Key is still in progress",
+      409
+    );
+  }
+
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+/**
+ * Claim the key for this request, replacing an expired record
+ * Returns null if another request claimed it first
+ */
+const claimKey = async (fields, now) => {
+  await IdempotencyKey.destroy({
+    where: {
+      userId: fields.userId,
+      key: fields.key,
+      expiresAt: { [Op.lte]: now },
+    },
+  });
+
+  try {
+    return await IdempotencyKey.create({
+      ...fields,
+      leaseId: crypto.randomUUID(),
+      lockedUntil: leaseUntil(now),
+      expiresAt: new Date(now.getTime() + KEY_TTL_MS),
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Take over an abandoned claim with a fresh lease
+ * Returns null if another retry took it over first (the conditional
+ * update lets only one of them through)
+ */
+const reclaimKey = async (record, now) => {
+  const [reclaimed] = await IdempotencyKey.update(
+    { leaseId: crypto.randomUUID(), lockedUntil: leaseUntil(now) },
+    {
+      where: {
+        id: record.id,
+        status: "in_progress",
+        lockedUntil: { [Op.lte]: now },
+      },
+    }
+  );
+  return reclaimed === 1 ? IdempotencyKey.findByPk(record.id) : null;
+};
+
+/**
+ * Push the lease of a request that is still running further out
+ * (only while it still holds that lease)
+ */
+const renewLease = (record) =>
+  IdempotencyKey.update(
+    { lockedUntil: leaseUntil(new Date()) },
+    { where: { id: record.id, leaseId: record.leaseId } }
+  );
+
+/**
+ * Store what the request answered (or drop the key after a server error)
+ * Only while the request still holds its lease: once a retry has taken
+ * the key over, the retry's response is the one kept
+ */
+const saveResponse = async (record, statusCode, body) => {
+  const ownLease = { id: record.id, leaseId: record.leaseId };
+  if (statusCode >= 500) {
+    await IdempotencyKey.destroy({ where: ownLease });
+    return;
+  }
+
+  const [saved] = await IdempotencyKey.update(
+    {
+      status: "completed",
+      leaseId: null,
+      lockedUntil: null,
+      responseStatus: statusCode,
+      responseBody: body,
+    },
+    { where: ownLease }
+  );
+  if (saved === 0) {
+    logger.warn(
+      `Idempotency-Key ${record.key} was taken over by a retry, response not stored`
+    );
+  }
+};
+
+/**
+ * idempotent
+ * Middleware for routes that must not run twice for one Idempotency-Key
+ */
+export const idempotent = async (req, res, next) => {
+  try {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw createIdempotencyError(
+        `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+        400
+      );
+    }
+
+    const now = new Date();
+    const fields = {
+      key,
+      userId: req.user.id,
+      endpoint: `${req.method} ${req.path}`,
+      requestHash: hashBody(req.body),
+    };
+
+    const existing = await IdempotencyKey.findOne({
+      where: {
+        userId: fields.userId,
+        key,
+        expiresAt: { [Op.gt]: now },
+      },
+    });
+    if (existing && !isAbandoned(existing, now)) {
+      return replay(existing, fields.endpoint, fields.requestHash, res);
+    }
+
+    let record;
+    if (existing) {
+      assertSameRequest(existing, fields.endpoint, fields.requestHash);
+      record = await reclaimKey(existing, now);
+    } else {
+      record = await claimKey(fields, now);
+    }
+    if (!record) {
+      throw createIdempotencyError(
+        "A request with this Idempotency-Key is still in progress",
+        409
+      );
+    }
+
+    // Keep the lease while the request runs
+    const renewal = setInterval(
+      () =>
+        renewLease(record).catch((error) =>
+          logger.error(`Error renewing idempotency lease: ${error.message}`)
+        ),
+      LEASE_MS / 2
+    );
+    renewal.unref();
+    res.on("close", () => clearInterval(renewal));
+
+    // Hold the response back until it is stored, so a retry that arrives
+    // right after it always finds it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      clearInterval(renewal);
+      saveResponse(record, res.statusCode, body)
+        .catch((error) =>
+          logger.error(`Error storing idempotent response: ${error.message}`)
+        )
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete stored responses past their retry window (called by the sweeper)
+ * Returns how many were deleted
+ */
+export const purgeExpiredIdempotencyKeys = (now = new Date()) =>
+  IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: now } } });
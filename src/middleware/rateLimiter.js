@@ -0,0 +1,82 @@
+import rateLimit from "express-rate-limit";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Rate Limiting Middleware
+ *
+ * WHAT IT DOES:
+ * - Limits how many requests one client can make in a time window
+ * - Keys requests by authenticated user (req.user.id), falling back to IP
+ * - Returns 429 in the same { success, error } format as errorHandler
+ *
+ * BUCKETS:
+ * - bookingLimiter: POST /book and POST /cancel (strict - these take the
+ *   event lock, so hammering them slows everyone else down)
+ * - statusLimiter: GET /status/:eventId and GET /events/:eventId (looser,
+ *   one bucket per client PER EVENT so polling one event doesn't block
+ *   checking another)
+ * - browseLimiter: GET /events (same limit, one bucket per client)
+ *
+ * CONFIG (.env):
+ * - RATE_LIMIT_WINDOW_MS: window length for both buckets
+ * - RATE_LIMIT_BOOKING_MAX_REQUESTS: /book + /cancel requests per window
+ * - RATE_LIMIT_MAX_REQUESTS: read requests per window (per event for /status)
+ *
+ * IMPORTANT: Put limiters AFTER authenticate on protected routes,
+ * otherwise req.user isn't set yet and every client is keyed by IP
+ */
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+// Bucket keys: one per client, or one per client per event
+export const clientKey = (req) =>
+  req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+export const eventClientKey = (req) =>
+  `${clientKey(req)}:event:${req.params.eventId}`;
+
+/**
+ * Middleware factory: creates a rate limiter
+ *
+ * OPTIONS:
+ * - windowMs: time window in milliseconds
+ * - max: requests allowed per key per window
+ * - keyGenerator: (req) => bucket key (defaults to user, then IP)
+ */
+export const createRateLimiter = ({
+  windowMs = DEFAULT_WINDOW_MS,
+  max,
+  keyGenerator = clientKey,
+}) =>
+  rateLimit({
+    windowMs,
+    limit: max,
+    keyGenerator,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res.status(429).json({
+        success: false,
+        error: "Too many requests, please try again later",
+      });
+    },
+  });
+
+const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || undefined;
+
+export const bookingLimiter = createRateLimiter({
+  windowMs,
+  max: parseInt(process.env.RATE_LIMIT_BOOKING_MAX_REQUESTS, 10) || 20,
+});
+
+export const statusLimiter = createRateLimiter({
+  windowMs,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+  keyGenerator: eventClientKey,
+});
+
+export const browseLimiter = createRateLimiter({
+  windowMs,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+});
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { isValidTimeZone } from "../utils/dateFormatter.js";
 
 /**
  * Validation Middleware
@@ -18,36 +19,284 @@ import Joi from "joi";
 
 // Define schemas for different endpoints
 
+// IANA timezone name, e.g. "Africa/Lagos"
+const timezone = Joi.string().custom((value, helpers) =>
+  isValidTimeZone(value) ? value : helpers.message("Unknown timezone: {#value}")
+);
+
+// Optional event details shared by create and update
+const eventDetails = {
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date()
+    .iso()
+    .when("startsAt", {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref("startsAt")),
+    }),
+  salesStartAt: Joi.date().iso(),
+  salesEndAt: Joi.date()
+    .iso()
+    .when("salesStartAt", {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref("salesStartAt")),
+    }),
+  venueName: Joi.string().max(255),
+  venueAddress: Joi.string().max(255),
+  description: Joi.string().max(5000),
+  category: Joi.string().max(100),
+  timezone,
+  // Ticket price (events with tiers use the tier prices) and its currency
+  price: Joi.number().min(0).precision(2),
+  currency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/, "ISO 4217 currency code"),
+  // Early access before salesStartAt, for access code holders and the
+  // listed users only (null removes a setting)
+  presaleStartAt: Joi.date().iso().allow(null),
+  presaleEndAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when("presaleStartAt", {
+      is: Joi.date(),
+      then: Joi.date().greater(Joi.ref("presaleStartAt")),
+    }),
+  // Required with a presale, and below totalTickets
+  presaleCapacity: Joi.number().integer().min(1).allow(null),
+  presaleAccessCodes: Joi.array()
+    .items(Joi.string().min(3).max(50))
+    .unique()
+    .allow(null),
+  presaleUserIds: Joi.array()
+    .items(Joi.string().min(1).max(255))
+    .unique()
+    .allow(null),
+  // What a cancelling user gets back (null = always a full refund)
+  refundPolicy: Joi.object({
+    fullRefundHours: Joi.number().integer().min(0).required(),
+    partialRefundPercent: Joi.number().integer().min(0).max(100).required(),
+    noRefundHours: Joi.number()
+      .integer()
+      .min(0)
+      .max(Joi.ref("fullRefundHours"))
+      .required(),
+  }).allow(null),
+};
+
+// A ticket tier, e.g. { name: "VIP", price: 150, totalTickets: 50 }
+export const ticketTierSchema = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  price: Joi.number().min(0).precision(2).default(0),
+  totalTickets: Joi.number().integer().required().min(1),
+});
+
+// A promo code for one event (the event comes from the URL)
+export const eventPromoCodeSchema = Joi.object({
+  code: Joi.string()
+    .required()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .min(3)
+    .max(50),
+  discountType: Joi.string().valid("percent", "fixed").required(),
+  // Percent off (up to 100), or an amount off in currency
+  discountValue: Joi.number()
+    .positive()
+    .precision(2)
+    .when("discountType", { is: "percent", then: Joi.number().max(100) })
+    .required(),
+  // Fixed codes only; defaults to the event's (required without eventId)
+  currency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/, "ISO 4217 currency code")
+    .when("discountType", { is: "percent", then: Joi.forbidden() }),
+  // Leave out for no limit
+  maxRedemptions: Joi.number().integer().min(1),
+  perUserLimit: Joi.number().integer().min(1),
+  validFrom: Joi.date().iso(),
+  validUntil: Joi.date().iso().greater(Joi.ref("validFrom")),
+  // Only this tier of the event
+  tierId: Joi.string().uuid(),
+});
+
+// A promo code for any event, or (with eventId) for one
+export const createPromoCodeSchema = eventPromoCodeSchema.keys({
+  eventId: Joi.string().uuid(),
+});
+
+// A venue with its seat map: sections made of rows of numbered seats
+export const createVenueSchema = Joi.object({
+  name: Joi.string().required().min(3).max(255),
+  address: Joi.string().max(255),
+  sections: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().required().min(1).max(100),
+        // Best-available ranking, lower = better
+        priority: Joi.number().integer().min(1).default(1),
+        // Front row first; seats are numbered 1..seats
+        rows: Joi.array()
+          .items(
+            Joi.object({
+              row: Joi.string().required().min(1).max(10),
+              seats: Joi.number().integer().required().min(1).max(500),
+            })
+          )
+          .min(1)
+          .unique((a, b) => a.row === b.row)
+          .required(),
+      })
+    )
+    .min(1)
+    .unique((a, b) => a.name === b.name)
+    .required(),
+});
+
+export const venueIdSchema = Joi.object({
+  venueId: Joi.string().uuid().required(),
+});
+
+export const attachSeatMapSchema = Joi.object({
+  venueId: Joi.string().uuid().required(),
+});
+
+export const sectionSeatsSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  sectionId: Joi.string().uuid().required(),
+});
+
 export const initializeEventSchema = Joi.object({
   name: Joi.string().required().min(3).max(255),
+  // Optional with tiers: it is then the sum of the tier capacities
+  totalTickets: Joi.number().integer().min(1).when("tiers", {
+    is: Joi.exist(),
+    otherwise: Joi.required(),
+  }),
+  tiers: Joi.array()
+    .items(ticketTierSchema)
+    .min(1)
+    .unique((a, b) => a.name === b.name),
+  // 'draft' (default) or 'on_sale' to open bookings straight away
+  status: Joi.string().valid("draft", "on_sale"),
+  ...eventDetails,
+});
+
+export const listEventsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  name: Joi.string().max(255),
+  ownerId: Joi.string().max(255),
+  category: Joi.string().max(100),
+  status: Joi.string().valid(
+    "draft",
+    "on_sale",
+    "sold_out",
+    "closed",
+    "cancelled"
+  ),
+  // true → only events with tickets left, false → only sold out events
+  available: Joi.boolean(),
+  sortBy: Joi.string()
+    .valid("createdAt", "startsAt", "name", "totalTickets", "availableTickets")
+    .default("createdAt"),
+  order: Joi.string().lowercase().valid("asc", "desc").default("desc"),
+});
+
+export const updateEventSchema = Joi.object({
+  name: Joi.string().min(3).max(255),
+  ...eventDetails,
+}).min(1);
+
+// sold_out isn't listed: it follows availableTickets automatically
+export const changeEventStatusSchema = Joi.object({
+  status: Joi.string().valid("on_sale", "closed", "cancelled").required(),
+});
+
+export const cancelEventSchema = Joi.object({
+  reason: Joi.string().max(1000),
+});
+
+export const changeCapacitySchema = Joi.object({
   totalTickets: Joi.number().integer().required().min(1),
+  // Required for events with ticket tiers
+  tierId: Joi.string().uuid(),
 });
 
 export const bookTicketSchema = Joi.object({
   eventId: Joi.string().uuid().required(),
   userId: Joi.string().required().min(1).max(255),
+  quantity: Joi.number().integer().min(1).default(1),
+  // Required for events with ticket tiers
+  tierId: Joi.string().uuid(),
+  // Seated events: these seats (quantity is then seatIds.length), or leave
+  // out for the best `quantity` seats together
+  seatIds: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+  // Required when the tickets cost something
+  paymentMethod: Joi.string().max(255),
+  promoCode: Joi.string().max(50),
+  // Needed during the presale, unless the user is on its list
+  accessCode: Joi.string().max(50),
 });
 
 export const cancelBookingSchema = Joi.object({
   eventId: Joi.string().uuid().required(),
   userId: Joi.string().required().min(1).max(255),
+  // Omit to cancel the whole booking
+  quantity: Joi.number().integer().min(1),
+});
+
+export const holdTicketSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required().min(1).max(255),
+  quantity: Joi.number().integer().min(1).default(1),
+  // Required for events with ticket tiers
+  tierId: Joi.string().uuid(),
+  // Seated events: these seats, or leave out for the best available
+  seatIds: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+});
+
+export const confirmHoldSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required().min(1).max(255),
+  // Required when the held tickets cost something
+  paymentMethod: Joi.string().max(255),
+});
+
+export const offerResponseSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required().min(1).max(255),
+});
+
+export const acceptOfferSchema = offerResponseSchema.keys({
+  // Required when the offered tickets cost something
+  paymentMethod: Joi.string().max(255),
+});
+
+export const leaveWaitingListSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required().min(1).max(255),
 });
 
 export const eventStatusSchema = Joi.object({
   eventId: Joi.string().uuid().required(),
 });
 
+export const waitingListPositionSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required().min(1).max(255),
+});
+
 /**
  * Middleware factory: creates validation middleware
  *
  * USAGE:
  * const validate = createValidationMiddleware(bookTicketSchema);
  * app.post('/book', validate, controllerMethod);
+ *
+ * source: which part of the request to check ('body', 'params' or 'query')
  */
-export const createValidationMiddleware = (schema) => {
+export const createValidationMiddleware = (schema, source = "body") => {
   return (req, res, next) => {
     try {
-      const { error, value } = schema.validate(req.body, {
+      const { error, value } = schema.validate(req[source], {
         abortEarly: false,
         stripUnknown: true,
       });
@@ -61,8 +310,8 @@ export const createValidationMiddleware = (schema) => {
         });
       }
 
-      // Replace req.body with validated and cleaned data
-      req.body = value;
+      // Replace the checked data with the validated and cleaned version
+      req[source] = value;
       next();
     } catch (err) {
       res.status(500).json({
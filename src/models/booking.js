@@ -1,6 +1,8 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/database.js";
 import Event from "./event.js";
+import TicketTier from "./ticketTier.js";
+import PromoCode from "./promoCode.js";
 import { formatDateReadable } from "../utils/dateFormatter.js";
 
 /**
@@ -13,18 +15,39 @@ import { formatDateReadable } from "../utils/dateFormatter.js";
   - id: Unique booking ID
   - eventId: Foreign key to Event (which event is this booking for?)
   - userId: The ID of the user attempting to book (e.g. "user-123")
+  - quantity: How many tickets this booking holds (all confirmed or all waiting)
   - booking statuses:
        'confirmed': User successfully got a ticket
        'waiting': User is on waiting list (no ticket yet)
        'cancelled': User cancelled their booking
+       'held': Tickets reserved during checkout, until expiresAt
+       'offered': Waiting user was offered freed tickets, must accept before expiresAt
+  - tierId: Ticket tier booked (null for events without tiers)
   -position: Position in waiting list (this is only relevant if status='waiting')
   -bookedAt: When the booking was made
+  -unitPrice/totalPrice/currency: What the tickets cost, copied from the event
+   (or tier) when the booking is CONFIRMED - or, for paid tickets, when the
+   payment starts - so later price changes don't touch it (null while held,
+   offered or waiting)
+  -promoCodeId/discountAmount: The promo code used and what it took off
+   totalPrice (null without a code). A waiting booking keeps its code, and
+   the discount is applied once it is offered and accepted
+  -presale: Booked during the event's presale (counts towards presaleCapacity)
+  -expiresAt: When a 'held' or 'offered' booking is released (null for every other status)
  
   how the flow goes;
  User books : Booking created with status='confirmed'
  Event is sold out : New booking has status='waiting'
  User from 'confirmed' cancels : Their booking becomes 'cancelled'
- Next 'waiting' booking becomes 'confirmed'
+ Next 'waiting' booking becomes 'offered' (tickets reserved for them)
+ They accept : 'offered' becomes 'confirmed'
+ They decline or the deadline passes : 'offered' becomes 'cancelled', next in line is offered
+
+ Checkout flow (reserve-then-confirm):
+ User holds : Booking created with status='held', expiresAt = now + hold duration
+ User pays and confirms : 'held' becomes 'confirmed' once the Payment is captured
+ Payment fails : 'held' becomes 'cancelled', tickets go back on sale
+ Hold expires : sweeper marks it 'cancelled' and next 'waiting' booking becomes 'offered'
  */
 
 const Booking = sequelize.define(
@@ -44,6 +67,15 @@ const Booking = sequelize.define(
       },
       onDelete: "CASCADE",
     },
+    tierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: TicketTier,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
     userId: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -51,8 +83,23 @@ const Booking = sequelize.define(
         notEmpty: true,
       },
     },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
     status: {
-      type: DataTypes.ENUM("confirmed", "waiting", "cancelled"),
+      type: DataTypes.ENUM(
+        "confirmed",
+        "waiting",
+        "cancelled",
+        "held",
+        "offered"
+      ),
       allowNull: false,
       defaultValue: "waiting",
     },
@@ -64,6 +111,40 @@ const Booking = sequelize.define(
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
     },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    unitPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    totalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+    },
+    promoCodeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: PromoCode,
+        key: "id",
+      },
+      onDelete: "SET NULL",
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    presale: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
   },
   {
     timestamps: true,
@@ -99,6 +180,11 @@ const Booking = sequelize.define(
                 instance.dataValues.bookedAt
               );
             }
+            if (instance.dataValues.expiresAt) {
+              instance.dataValues.expiresAt = formatDateReadable(
+                instance.dataValues.expiresAt
+              );
+            }
           }
           return instance;
         };
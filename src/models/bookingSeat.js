@@ -0,0 +1,77 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Event from "./event.js";
+import Booking from "./booking.js";
+import Seat from "./seat.js";
+
+/**
+  BookingSeat Model
+
+  WHAT IT REPRESENTS:
+  - A seat taken by a booking for ONE event (held or confirmed)
+
+  FIELDS:
+  - eventId: The event
+  - seatId: The seat
+  - bookingId: The booking that holds it
+
+  WHY A UNIQUE (eventId, seatId) INDEX?
+  - Seats are claimed under the event lock, so two bookings should never
+    get the same seat; the index makes the database refuse it as well
+  - Rows are DELETED when the booking is cancelled or its hold expires,
+    which frees the seat for the next booking
+ **/
+
+const BookingSeat = sequelize.define(
+  "BookingSeat",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    seatId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Seat,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Booking,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "booking_seats",
+    indexes: [
+      {
+        fields: ["eventId", "seatId"],
+        unique: true,
+      },
+      {
+        fields: ["bookingId"],
+        unique: false,
+      },
+    ],
+  }
+);
+
+export default BookingSeat;
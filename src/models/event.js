@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/database.js";
-import { formatDateReadable } from "../utils/dateFormatter.js";
+import Venue from "./venue.js";
+import { formatDateReadable, isValidTimeZone } from "../utils/dateFormatter.js";
 
 /**
  Event Model
@@ -13,14 +14,172 @@ FIELDS:
  name: Event name (e.g "Nigeria vs Congo football match")
  totalTickets: Total tickets created for this event (e.g 1000)
  availableTickets: Remaining tickets available (decreases as people book)
+ ownerId: userId of the organizer who created the event (null for legacy events,
+          which only admins can manage)
+ startsAt/endsAt: When the event itself takes place (optional)
+ salesStartAt/salesEndAt: Window in which tickets can be booked (optional;
+                          no start = open now, no end = open until closed)
+ presaleStartAt/presaleEndAt: Early access window before salesStartAt
+                              (optional; no end = until general sale opens).
+                              Only users with one of presaleAccessCodes, or
+                              listed in presaleUserIds, can book during it
+ presaleCapacity: Most tickets the presale may sell (required with a
+                  presale, and below totalTickets so some are left for
+                  general sale; null = no cap, for presales set up
+                  before it existed)
+ presaleAccessCodes/presaleUserIds: Who gets in early. Never shown in
+                                    responses (see EVENT_PRIVATE_FIELDS)
+ venueName/venueAddress: Where it takes place (optional)
+ description, category: Free text shown to attendees (optional)
+ price: Price of one ticket (DECIMAL, returned as a string like "25.00";
+        events with ticket tiers use the tier prices instead)
+ currency: ISO 4217 code the prices are in (e.g "NGN", default "USD")
+ refundPolicy: How much of the price a user gets back when they cancel,
+               depending on how close to startsAt they do it (optional,
+               null = always in full; see utils/refundPolicy.js)
+ venueId: Seat map attached to the event (optional; tickets are then
+          specific seats of that venue, see Venue/Section/Seat)
+ timezone: IANA timezone of the venue (e.g "Africa/Lagos", default "UTC");
+           event and sales times are rendered in this timezone in responses
+ status: Where the event is in its lifecycle:
+       'draft': being set up, not bookable yet
+       'on_sale': open for bookings
+       'sold_out': on sale but no tickets left (set automatically; people
+                   can still join the waiting list)
+       'closed': sales are over
+       'cancelled': the event won't happen
  createdAt/updatedAt: Timestamps (it is automatically managed by Sequelize)
  
  How it works:
  when event is created : availableTickets = totalTickets
  when user books : availableTickets decreases by 1
  when user cancels : availableTickets increases by 1
+
+ Lifecycle:
+ draft → on_sale → closed, any (but cancelled) → cancelled
+ on_sale ⇄ sold_out follows availableTickets automatically
  */
 
+// Which statuses each status may move to
+export const EVENT_STATUS_TRANSITIONS = {
+  draft: ["on_sale", "cancelled"],
+  on_sale: ["sold_out", "closed", "cancelled"],
+  sold_out: ["on_sale", "closed", "cancelled"],
+  closed: ["cancelled"],
+  cancelled: [],
+};
+
+// Optional details and pricing, set on creation and editable with PATCH /events/:id
+export const EVENT_DETAIL_FIELDS = [
+  "startsAt",
+  "endsAt",
+  "salesStartAt",
+  "salesEndAt",
+  "venueName",
+  "venueAddress",
+  "description",
+  "category",
+  "timezone",
+  "price",
+  "currency",
+  "refundPolicy",
+  "presaleStartAt",
+  "presaleEndAt",
+  "presaleCapacity",
+  "presaleAccessCodes",
+  "presaleUserIds",
+];
+
+// Detail fields that make up the presale
+export const EVENT_PRESALE_FIELDS = EVENT_DETAIL_FIELDS.filter((field) =>
+  field.startsWith("presale")
+);
+
+// Detail fields left out of every response: they are the keys to the presale
+export const EVENT_PRIVATE_FIELDS = ["presaleAccessCodes", "presaleUserIds"];
+
+// Date fields shown in the event's own timezone
+export const EVENT_TIME_FIELDS = [
+  "startsAt",
+  "endsAt",
+  "salesStartAt",
+  "salesEndAt",
+  "presaleStartAt",
+  "presaleEndAt",
+];
+
+/**
+ * Throw if the event ends before it starts, or sales close before they open
+ * (only checked when both ends of a range are set)
+ */
+export const assertValidSchedule = ({
+  startsAt,
+  endsAt,
+  salesStartAt,
+  salesEndAt,
+}) => {
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    throw new Error("Event must end after it starts");
+  }
+  if (
+    salesStartAt &&
+    salesEndAt &&
+    new Date(salesEndAt) <= new Date(salesStartAt)
+  ) {
+    throw new Error("Sales must close after they open");
+  }
+};
+
+/**
+ * Throw unless the presale (if any) is a window before general sale that
+ * somebody can get into, selling fewer tickets than the event has
+ * Presales set up before the cap existed have none: pass
+ * requireCapacity: false for changes that leave the presale alone
+ */
+export const assertValidPresale = (
+  {
+    presaleStartAt,
+    presaleEndAt,
+    presaleCapacity,
+    presaleAccessCodes,
+    presaleUserIds,
+    salesStartAt,
+    totalTickets,
+  },
+  { requireCapacity = true } = {}
+) => {
+  if (!presaleStartAt) {
+    if (presaleEndAt) {
+      throw new Error("Presale needs a presaleStartAt");
+    }
+    return;
+  }
+  if (!salesStartAt) {
+    throw new Error("Presale needs a salesStartAt for general sale");
+  }
+  if (new Date(presaleStartAt) >= new Date(salesStartAt)) {
+    throw new Error("Presale must start before general sale");
+  }
+  if (presaleEndAt) {
+    if (new Date(presaleEndAt) <= new Date(presaleStartAt)) {
+      throw new Error("Presale must end after it starts");
+    }
+    if (new Date(presaleEndAt) > new Date(salesStartAt)) {
+      throw new Error("Presale must end by the time general sale opens");
+    }
+  }
+  if (!presaleAccessCodes?.length && !presaleUserIds?.length) {
+    throw new Error("Presale needs access codes or allowed users");
+  }
+  if (presaleCapacity == null) {
+    if (!requireCapacity) return;
+    throw new Error("Presale needs a presaleCapacity");
+  }
+  if (presaleCapacity >= totalTickets) {
+    throw new Error("Presale capacity must be below the event's tickets");
+  }
+};
+
 const Event = sequelize.define(
   "Event",
   {
@@ -52,6 +211,117 @@ const Event = sequelize.define(
         isInt: true,
       },
     },
+    ownerId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "USD",
+      validate: {
+        is: /^[A-Z]{3}$/,
+      },
+    },
+    refundPolicy: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: Venue,
+        key: "id",
+      },
+      onDelete: "RESTRICT",
+    },
+    status: {
+      type: DataTypes.ENUM(
+        "draft",
+        "on_sale",
+        "sold_out",
+        "closed",
+        "cancelled"
+      ),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    salesStartAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    salesEndAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    presaleStartAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    presaleEndAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    presaleCapacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    presaleAccessCodes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+    },
+    presaleUserIds: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+    },
+    venueName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    venueAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: "UTC",
+      validate: {
+        isIanaTimeZone(value) {
+          if (!isValidTimeZone(value)) {
+            throw new Error(`Unknown timezone: ${value}`);
+          }
+        },
+      },
+    },
   },
   {
     timestamps: true,
@@ -73,6 +343,15 @@ const Event = sequelize.define(
                 instance.dataValues.updatedAt
               );
             }
+            // Event times are shown in the event's own timezone
+            for (const field of EVENT_TIME_FIELDS) {
+              if (instance.dataValues[field]) {
+                instance.dataValues[field] = formatDateReadable(
+                  instance.dataValues[field],
+                  instance.dataValues.timezone
+                );
+              }
+            }
           }
           return instance;
         };
@@ -0,0 +1,99 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+
+/**
+  IdempotencyKey Model
+
+  WHAT IT REPRESENTS:
+  - A request sent with an Idempotency-Key header, and the response it got,
+    so a retry of the same request gets that response again instead of
+    running twice
+
+  FIELDS:
+  - id: Unique ID
+  - key: The Idempotency-Key header value
+  - userId: Who sent it (keys are per user, so users can't collide)
+  - endpoint: Method and path, e.g. "POST /book"
+  - requestHash: SHA-256 of the (validated) request body; the same key
+    with another body is refused
+  - statuses:
+       'in_progress': The first request is still running
+       'completed': responseStatus/responseBody hold what it answered
+  - lockedUntil: Lease of an 'in_progress' request; once it has passed
+    the request is taken as abandoned (e.g. the server died) and a retry
+    may run it again
+  - leaseId: Which request holds the lease (new on every claim), so only
+    that request stores its response
+  - expiresAt: Until when retries are answered from here (after that the
+    key may be reused for a new request)
+ **/
+
+const IdempotencyKey = sequelize.define(
+  "IdempotencyKey",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    endpoint: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    requestHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("in_progress", "completed"),
+      allowNull: false,
+      defaultValue: "in_progress",
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    responseBody: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    leaseId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "idempotency_keys",
+    indexes: [
+      {
+        // One record per key per user; also what stops two concurrent
+        // first attempts from both running
+        fields: ["userId", "key"],
+        unique: true,
+      },
+      {
+        fields: ["expiresAt"],
+        unique: false,
+      },
+    ],
+  }
+);
+
+export default IdempotencyKey;
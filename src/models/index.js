@@ -13,5 +13,29 @@
 import Event from "./event.js";
 import Booking from "./booking.js";
 import WaitingList from "./waitingList.js";
+import TicketTier from "./ticketTier.js";
+import Venue from "./venue.js";
+import Section from "./section.js";
+import Seat from "./seat.js";
+import BookingSeat from "./bookingSeat.js";
+import Payment from "./payment.js";
+import Refund from "./refund.js";
+import PromoCode from "./promoCode.js";
+import PromoRedemption from "./promoRedemption.js";
+import IdempotencyKey from "./idempotencyKey.js";
 
-export { Event, Booking, WaitingList };
+export {
+  Event,
+  Booking,
+  WaitingList,
+  TicketTier,
+  Venue,
+  Section,
+  Seat,
+  BookingSeat,
+  Payment,
+  Refund,
+  PromoCode,
+  PromoRedemption,
+  IdempotencyKey,
+};
@@ -0,0 +1,133 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Booking from "./booking.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  Payment Model
+
+  WHAT IT REPRESENTS:
+  - One attempt to pay for a booking through a payment provider
+
+  FIELDS:
+  - id: Unique ID
+  - bookingId: The booking being paid for
+  - provider: Which PaymentProvider handled it (e.g. 'mock')
+  - providerReference: The provider's authorization ID (null until
+    authorized)
+  - amount/currency: What was charged (the booking's totalPrice)
+  - refundedAmount: How much of amount has been given back
+  - failureReason: Why it was declined or failed, as the provider put it
+  - payment statuses:
+       'pending': Created, the provider hasn't answered yet
+       'authorized': Money reserved, not taken yet
+       'captured': Money taken - the booking is (or was) confirmed
+       'declined': The provider refused to authorize
+       'failed': Capture failed or the provider couldn't be reached
+       'refunded': Captured, then given back in full
+
+  how the flow goes;
+ Paid booking : Payment created 'pending' (tickets are held meanwhile)
+ Provider authorizes : 'authorized'
+ Provider captures : 'captured', booking becomes 'confirmed'
+ Authorize or capture fails : 'declined'/'failed', held tickets released
+ **/
+
+const Payment = sequelize.define(
+  "Payment",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Booking,
+        key: "id",
+      },
+      // Money records are kept: a booking with payments can't be deleted
+      onDelete: "RESTRICT",
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    providerReference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(
+        "pending",
+        "authorized",
+        "captured",
+        "declined",
+        "failed",
+        "refunded"
+      ),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    failureReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "payments",
+    indexes: [
+      {
+        fields: ["bookingId"],
+        unique: false,
+      },
+    ],
+    hooks: {
+      afterFind(result) {
+        if (!result) return result;
+
+        const formatInstance = (instance) => {
+          if (instance && instance.dataValues) {
+            if (instance.dataValues.createdAt) {
+              instance.dataValues.createdAt = formatDateReadable(
+                instance.dataValues.createdAt
+              );
+            }
+            if (instance.dataValues.updatedAt) {
+              instance.dataValues.updatedAt = formatDateReadable(
+                instance.dataValues.updatedAt
+              );
+            }
+          }
+          return instance;
+        };
+
+        if (Array.isArray(result)) {
+          return result.map(formatInstance);
+        }
+        return formatInstance(result);
+      },
+    },
+  }
+);
+
+export default Payment;
@@ -0,0 +1,195 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Event from "./event.js";
+import TicketTier from "./ticketTier.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  PromoCode Model
+
+  WHAT IT REPRESENTS:
+  - A discount code users can enter when booking (e.g. "EARLYBIRD")
+
+  FIELDS:
+  - id: Unique ID
+  - code: What users type, stored in upper case (unique)
+  - discountType: 'percent' (discountValue % off) or 'fixed' (discountValue
+    off the booking, in currency, never below 0)
+  - discountValue: Size of the discount
+  - currency: What a 'fixed' discount is in (null for 'percent'); the code
+    only works for events priced in it
+  - maxRedemptions: How many bookings may use it in total (null = no limit)
+  - perUserLimit: How many bookings one user may use it for (null = no limit)
+  - validFrom/validUntil: When it can be used (optional, either end open)
+  - eventId: Only for this event (null = any event)
+  - tierId: Only for this ticket tier of that event (null = any tier)
+  - createdBy: userId of whoever created it
+
+  HOW IT IS USED:
+  - Every booking that uses a code gets a PromoRedemption row, created
+    under the event lock (with the code's row locked too, so a code shared
+    by many events can't be over-redeemed by two events at once)
+  - A redemption is given back if the booking never gets its tickets
+    (payment fails, hold or offer lapses, user leaves the waiting list)
+ **/
+
+/**
+ * Throw unless the fields describe a usable promo code
+ */
+export const assertValidPromoCode = ({
+  code,
+  discountType,
+  discountValue,
+  validFrom,
+  validUntil,
+  tierId,
+  eventId,
+  currency,
+} = {}) => {
+  if (!code || typeof code !== "string") {
+    throw new Error("Promo code must be a non-empty string");
+  }
+  if (!["percent", "fixed"].includes(discountType)) {
+    throw new Error("Promo code discountType must be 'percent' or 'fixed'");
+  }
+  if (typeof discountValue !== "number" || !(discountValue > 0)) {
+    throw new Error("Promo code discountValue must be a positive number");
+  }
+  if (discountType === "percent" && discountValue > 100) {
+    throw new Error("A percentage discount can't exceed 100");
+  }
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    throw new Error("Promo code must expire after it becomes valid");
+  }
+  if (tierId && !eventId) {
+    throw new Error("A promo code limited to a tier needs its eventId");
+  }
+  // A code for one event can take that event's currency
+  if (discountType === "fixed" && !currency && !eventId) {
+    throw new Error("A fixed promo code for every event needs a currency");
+  }
+};
+
+/**
+ * Discount (in cents) a promo code takes off a subtotal (in cents)
+ */
+export const discountCents = (promoCode, subtotalCents) => {
+  const discount =
+    promoCode.discountType === "percent"
+      ? Math.round((subtotalCents * Number(promoCode.discountValue)) / 100)
+      : Math.round(Number(promoCode.discountValue) * 100);
+  return Math.min(discount, subtotalCents);
+};
+
+const PromoCode = sequelize.define(
+  "PromoCode",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    code: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+      set(value) {
+        this.setDataValue("code", value.toUpperCase());
+      },
+    },
+    discountType: {
+      type: DataTypes.ENUM("percent", "fixed"),
+      allowNull: false,
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+    },
+    maxRedemptions: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    perUserLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+      },
+    },
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    validUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: Event,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    tierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: TicketTier,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "promo_codes",
+    hooks: {
+      afterFind(result) {
+        if (!result) return result;
+
+        const formatInstance = (instance) => {
+          if (instance && instance.dataValues) {
+            if (instance.dataValues.createdAt) {
+              instance.dataValues.createdAt = formatDateReadable(
+                instance.dataValues.createdAt
+              );
+            }
+            if (instance.dataValues.updatedAt) {
+              instance.dataValues.updatedAt = formatDateReadable(
+                instance.dataValues.updatedAt
+              );
+            }
+          }
+          return instance;
+        };
+
+        if (Array.isArray(result)) {
+          return result.map(formatInstance);
+        }
+        return formatInstance(result);
+      },
+    },
+  }
+);
+
+export default PromoCode;
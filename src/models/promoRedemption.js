@@ -0,0 +1,66 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import PromoCode from "./promoCode.js";
+import Booking from "./booking.js";
+
+/**
+  PromoRedemption Model
+
+  WHAT IT REPRESENTS:
+  - One booking's use of a promo code
+
+  FIELDS:
+  - promoCodeId: The code
+  - bookingId: The booking that used it (one code per booking)
+  - userId: Who booked (for the code's perUserLimit)
+
+  Counting these rows (with the code's row locked) is how maxRedemptions
+  and perUserLimit are enforced. Rows are DELETED when the booking never
+  gets its tickets, which gives the use back
+ **/
+
+const PromoRedemption = sequelize.define(
+  "PromoRedemption",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    promoCodeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: PromoCode,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: Booking,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "promo_redemptions",
+    indexes: [
+      {
+        fields: ["promoCodeId", "userId"],
+        unique: false,
+      },
+    ],
+  }
+);
+
+export default PromoRedemption;
@@ -0,0 +1,143 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Booking from "./booking.js";
+import Payment from "./payment.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  Refund Model
+
+  WHAT IT REPRESENTS:
+  - Money owed back to a user for cancelled tickets they paid for,
+    worked out when the cancellation happens
+
+  FIELDS:
+  - id: Unique ID
+  - bookingId: The booking the tickets were cancelled from
+  - paymentId: The captured payment the money goes back to
+  - reason: 'booking_cancelled' (the user cancelled, the event's refund
+    policy applies), 'event_cancelled' (always refunded in full) or
+    'booking_expired' (a hold or offer was charged but never confirmed,
+    refunded in full)
+  - quantity: How many tickets were cancelled
+  - percent: Share of their price refunded (from the refund policy)
+  - amount/currency: What is refunded
+  - failureReason: Why the provider refused, for status 'failed'
+  - refund statuses:
+       'pending': Recorded, not sent to the payment provider yet
+       'refunded': The provider gave the money back
+       'failed': The provider refused; the cancellation still stands
+       'not_refundable': The policy gives nothing back (amount 0)
+ **/
+
+const Refund = sequelize.define(
+  "Refund",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Booking,
+        key: "id",
+      },
+      // Kept like payments: a booking with refunds can't be deleted
+      onDelete: "RESTRICT",
+    },
+    paymentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Payment,
+        key: "id",
+      },
+      onDelete: "RESTRICT",
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        "booking_cancelled",
+        "event_cancelled",
+        "booking_expired"
+      ),
+      allowNull: false,
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
+    percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 100,
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "refunded", "failed", "not_refundable"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    failureReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "refunds",
+    indexes: [
+      {
+        fields: ["bookingId"],
+        unique: false,
+      },
+    ],
+    hooks: {
+      afterFind(result) {
+        if (!result) return result;
+
+        const formatInstance = (instance) => {
+          if (instance && instance.dataValues) {
+            if (instance.dataValues.createdAt) {
+              instance.dataValues.createdAt = formatDateReadable(
+                instance.dataValues.createdAt
+              );
+            }
+            if (instance.dataValues.updatedAt) {
+              instance.dataValues.updatedAt = formatDateReadable(
+                instance.dataValues.updatedAt
+              );
+            }
+          }
+          return instance;
+        };
+
+        if (Array.isArray(result)) {
+          return result.map(formatInstance);
+        }
+        return formatInstance(result);
+      },
+    },
+  }
+);
+
+export default Refund;
@@ -0,0 +1,72 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Section from "./section.js";
+
+/**
+  Seat Model
+
+  WHAT IT REPRESENTS:
+  - One physical seat in a section of a venue
+
+  FIELDS:
+  - id: Unique ID (what users pass as seatIds when booking)
+  - sectionId: The section it is in
+  - row: Row label as printed on the ticket (e.g. "A", "AA")
+  - rowIndex: Position of the row in the section, front row = 0
+              (labels don't sort reliably: "AA" comes after "Z")
+  - number: Seat number within the row (1, 2, 3 ...)
+
+  Whether a seat is taken depends on the event, so that lives in
+  BookingSeat, not here
+ **/
+
+const Seat = sequelize.define(
+  "Seat",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    sectionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Section,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    row: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    rowIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
+  },
+  {
+    timestamps: false,
+    tableName: "seats",
+    indexes: [
+      {
+        fields: ["sectionId", "row", "number"],
+        unique: true,
+      },
+    ],
+  }
+);
+
+export default Seat;
@@ -0,0 +1,65 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Venue from "./venue.js";
+
+/**
+  Section Model
+
+  WHAT IT REPRESENTS:
+  - One area of a venue's seat map (e.g. "Stalls", "Balcony")
+
+  FIELDS:
+  - id: Unique ID
+  - venueId: The venue it belongs to
+  - name: Section name, unique within the venue
+  - priority: Rank for "best available" allocation, lower = better
+              (e.g. Stalls 1, Dress Circle 2, Balcony 3; default 1)
+ **/
+
+const Section = sequelize.define(
+  "Section",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Venue,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
+  },
+  {
+    timestamps: false,
+    tableName: "sections",
+    indexes: [
+      {
+        fields: ["venueId", "name"],
+        unique: true,
+      },
+    ],
+  }
+);
+
+export default Section;
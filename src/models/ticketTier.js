@@ -0,0 +1,135 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Event from "./event.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  TicketTier Model
+
+  WHAT IT REPRESENTS:
+  - A price category within an event (e.g. "General", "VIP", "Early Bird")
+  - Each tier has its own capacity, availability and price
+
+  FIELDS:
+  - id: Unique ID
+  - eventId: The event this tier belongs to
+  - name: Tier name, unique within the event
+  - price: Price of one ticket in this tier (DECIMAL, returned as a string
+           like "50.00" so no precision is lost)
+  - totalTickets: Tickets in this tier
+  - availableTickets: Tickets left in this tier
+
+  HOW IT FITS WITH THE EVENT:
+  - An event either has NO tiers (one shared pool, the original behaviour)
+    or ALL its tickets are in tiers
+  - For a tiered event, event.totalTickets / availableTickets are always the
+    sums over its tiers (updated in the same transaction as the tier), so
+    sold-out detection and event listings keep working unchanged
+  - Bookings and waiting list entries remember their tierId; freed tickets
+    are only offered to people waiting for the SAME tier
+ **/
+
+/**
+ * Throw unless { name, price, totalTickets } describes a usable tier
+ * (price is optional and defaults to 0)
+ */
+export const assertValidTier = ({ name, price = 0, totalTickets } = {}) => {
+  if (!name || typeof name !== "string") {
+    throw new Error("Ticket tier name must be a non-empty string");
+  }
+  if (typeof price !== "number" || !Number.isFinite(price) || price < 0) {
+    throw new Error("Ticket tier price must be a non-negative number");
+  }
+  if (!Number.isInteger(totalTickets) || totalTickets < 1) {
+    throw new Error("Ticket tier totalTickets must be a positive integer");
+  }
+};
+
+const TicketTier = sequelize.define(
+  "TicketTier",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+      },
+    },
+    totalTickets: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
+    availableTickets: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        isInt: true,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "ticket_tiers",
+    indexes: [
+      {
+        fields: ["eventId", "name"],
+        unique: true,
+      },
+    ],
+    hooks: {
+      afterFind(result) {
+        if (!result) return result;
+
+        const formatInstance = (instance) => {
+          if (instance && instance.dataValues) {
+            if (instance.dataValues.createdAt) {
+              instance.dataValues.createdAt = formatDateReadable(
+                instance.dataValues.createdAt
+              );
+            }
+            if (instance.dataValues.updatedAt) {
+              instance.dataValues.updatedAt = formatDateReadable(
+                instance.dataValues.updatedAt
+              );
+            }
+          }
+          return instance;
+        };
+
+        if (Array.isArray(result)) {
+          return result.map(formatInstance);
+        }
+        return formatInstance(result);
+      },
+    },
+  }
+);
+
+export default TicketTier;
@@ -0,0 +1,80 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  Venue Model
+
+  WHAT IT REPRESENTS:
+  - A place with a fixed seat map (e.g. a theatre)
+  - Its seats are split into Sections, each made of rows of Seats
+
+  FIELDS:
+  - id: Unique ID
+  - name: Venue name (e.g. "National Theatre")
+  - address: Where it is (optional)
+  - ownerId: userId of the organizer who created it
+
+  HOW IT IS USED:
+  - A venue is created once and can host many events
+  - An organizer attaches it to an event (event.venueId); the event's
+    tickets are then the venue's seats, booked by seat ID
+ **/
+
+const Venue = sequelize.define(
+  "Venue",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ownerId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: true,
+    tableName: "venues",
+    hooks: {
+      afterFind(result) {
+        if (!result) return result;
+
+        const formatInstance = (instance) => {
+          if (instance && instance.dataValues) {
+            if (instance.dataValues.createdAt) {
+              instance.dataValues.createdAt = formatDateReadable(
+                instance.dataValues.createdAt
+              );
+            }
+            if (instance.dataValues.updatedAt) {
+              instance.dataValues.updatedAt = formatDateReadable(
+                instance.dataValues.updatedAt
+              );
+            }
+          }
+          return instance;
+        };
+
+        if (Array.isArray(result)) {
+          return result.map(formatInstance);
+        }
+        return formatInstance(result);
+      },
+    },
+  }
+);
+
+export default Venue;
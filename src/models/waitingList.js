@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/database.js";
 import Event from "./event.js";
+import TicketTier from "./ticketTier.js";
 import { formatDateReadable } from "../utils/dateFormatter.js";
 
 /**
@@ -14,9 +15,19 @@ import { formatDateReadable } from "../utils/dateFormatter.js";
   - id: Unique ID
   - eventId: The event they are waiting for?
   - userId: The user that is waiting
+  - quantity: How many tickets they are waiting for (assigned all at once)
   - position: Queue position (1st, 2nd, 3rd, etc.)
+  - tierId: Ticket tier they are waiting for (null for events without tiers);
+    each tier has its own queue
   - timestamp: When they joined the queue (used for ordering)
-  - status: 'waiting' or 'assigned' (when assigned from cancellation)
+  - status:
+       'waiting': still in the queue
+       'offered': freed tickets are reserved for them, awaiting their answer
+       'assigned': they accepted the offer (booking confirmed)
+       'declined': they turned the offer down
+       'expired': they didn't answer before the offer deadline
+       'withdrawn': they left the queue themselves
+       'cancelled': the event was cancelled
  
   WHY SEPARATE TABLE?
   - Makes queries easier (so next waiting user can be found instantly)
@@ -26,8 +37,9 @@ import { formatDateReadable } from "../utils/dateFormatter.js";
   1. Event sells out, user tries to book
   2. WaitingList entry created with position 1
   3. Someone cancels
-  4. WaitingList[0] (the first person on the queue) gets assigned (status='assigned')
-  5. Waiting list positions updated for the remaining users
+  4. WaitingList[0] (the first person on the queue) gets an offer (status='offered')
+  5. They accept (status='assigned') or decline/time out ('declined'/'expired'),
+     in which case the tickets are offered to the next person in position order
  **/
 
 const WaitingList = sequelize.define(
@@ -47,6 +59,15 @@ const WaitingList = sequelize.define(
       },
       onDelete: "CASCADE",
     },
+    tierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: TicketTier,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    },
     userId: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -54,6 +75,15 @@ const WaitingList = sequelize.define(
         notEmpty: true,
       },
     },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+        isInt: true,
+      },
+    },
     position: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -63,7 +93,15 @@ const WaitingList = sequelize.define(
       defaultValue: DataTypes.NOW,
     },
     status: {
-      type: DataTypes.ENUM("waiting", "assigned"),
+      type: DataTypes.ENUM(
+        "waiting",
+        "offered",
+        "assigned",
+        "declined",
+        "expired",
+        "withdrawn",
+        "cancelled"
+      ),
       allowNull: false,
       defaultValue: "waiting",
     },
@@ -0,0 +1,80 @@
+import { randomUUID } from "crypto";
+import PaymentProvider from "./PaymentProvider.js";
+
+/**
+ * MockPaymentProvider - A GATEWAY THAT NEVER LEAVES THE PROCESS
+ *
+ * WHAT IT DOES:
+ * - Implements PaymentProvider in memory, so bookings can be paid for in
+ *   development and tests without network access or an account anywhere
+ * - Keeps track of what each authorization allows, so capturing or
+ *   refunding too much is refused like a real gateway would
+ *
+ * TEST PAYMENT METHODS:
+ * - MOCK_DECLINED ('mock_declined'): authorize is declined
+ * - MOCK_CAPTURE_FAILS ('mock_capture_fails'): authorize works, capture fails
+ * - Anything else: every call succeeds
+ *
+ * IMPORTANT: State lives in this process only. With several instances
+ * behind a load balancer a refund may reach an instance that never saw
+ * the authorization - use a real provider there
+ */
+
+export const MOCK_DECLINED = "mock_declined";
+export const MOCK_CAPTURE_FAILS = "mock_capture_fails";
+
+export default class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super();
+    // authorizationId → { amount, captured, refunded, captureFails }
+    this.authorizations = new Map();
+  }
+
+  get name() {
+    return "mock";
+  }
+
+  async authorize({ amount, paymentMethod }) {
+    if (paymentMethod === MOCK_DECLINED) {
+      return { status: "declined", reason: "Card declined" };
+    }
+
+    const id = `mock_auth_${randomUUID()}`;
+    this.authorizations.set(id, {
+      amount,
+      captured: 0,
+      refunded: 0,
+      captureFails: paymentMethod === MOCK_CAPTURE_FAILS,
+    });
+    return { status: "authorized", id };
+  }
+
+  async capture(authorizationId, amount) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization) {
+      return { status: "failed", reason: "Unknown authorization" };
+    }
+    if (authorization.captureFails) {
+      return { status: "failed", reason: "Capture failed" };
+    }
+    if (authorization.captured + amount > authorization.amount) {
+      return { status: "failed", reason: "Amount exceeds authorization" };
+    }
+
+    authorization.captured += amount;
+    return { status: "captured" };
+  }
+
+  async refund(authorizationId, amount) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization) {
+      return { status: "failed", reason: "Unknown authorization" };
+    }
+    if (authorization.refunded + amount > authorization.captured) {
+      return { status: "failed", reason: "Amount exceeds captured amount" };
+    }
+
+    authorization.refunded += amount;
+    return { status: "refunded", id: `mock_refund_${randomUUID()}` };
+  }
+}
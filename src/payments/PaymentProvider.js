@@ -0,0 +1,69 @@
+/**
+ * PaymentProvider - THE PAYMENT GATEWAY INTERFACE
+ *
+ * WHAT IT DOES:
+ * - Describes the three calls PaymentService makes to a payment gateway
+ * - Real gateways (Stripe, Adyen, ...) extend this class and implement
+ *   all three; see MockPaymentProvider for a complete example
+ *
+ * AMOUNTS:
+ * Always whole cents (1999 for 19.99) with an ISO currency code, so no
+ * provider ever has to parse a decimal string
+ *
+ * RESULTS:
+ * Declines and refusals are RETURNED ({ status, reason }), not thrown.
+ * Throwing means "the gateway couldn't be asked" (network down, bad
+ * credentials) and PaymentService records the payment as failed
+ *
+ * USAGE:
+ * class StripeProvider extends PaymentProvider { ... }
+ * paymentService.setProvider(new StripeProvider());
+ */
+
+export default class PaymentProvider {
+  /**
+   * Short name stored on every Payment row (e.g. 'mock', 'stripe')
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} does not implement name`);
+  }
+
+  /**
+   * Reserve money on the customer's payment method
+   *
+   * INPUT:
+   * - amount: whole cents
+   * - currency: e.g. 'USD'
+   * - paymentMethod: the token the client got from the gateway
+   * - reference: our booking ID (shows up in the gateway's dashboard)
+   *
+   * OUTPUT:
+   * - { status: 'authorized', id } (id is passed to capture and refund)
+   * - or { status: 'declined', reason }
+   */
+  async authorize({ amount, currency, paymentMethod, reference }) {
+    throw new Error(`${this.constructor.name} does not implement authorize`);
+  }
+
+  /**
+   * Take money that authorize reserved
+   *
+   * OUTPUT:
+   * - { status: 'captured' }
+   * - or { status: 'failed', reason }
+   */
+  async capture(authorizationId, amount) {
+    throw new Error(`${this.constructor.name} does not implement capture`);
+  }
+
+  /**
+   * Give back (part of) a captured amount
+   *
+   * OUTPUT:
+   * - { status: 'refunded', id }
+   * - or { status: 'failed', reason }
+   */
+  async refund(authorizationId, amount) {
+    throw new Error(`${this.constructor.name} does not implement refund`);
+  }
+}
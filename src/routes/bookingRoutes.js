@@ -5,8 +5,26 @@ import {
   initializeEventSchema,
   bookTicketSchema,
   cancelBookingSchema,
+  holdTicketSchema,
+  confirmHoldSchema,
+  offerResponseSchema,
+  acceptOfferSchema,
+  leaveWaitingListSchema,
+  waitingListPositionSchema,
+  changeCapacitySchema,
+  changeEventStatusSchema,
+  cancelEventSchema,
 } from "../middleware/validation.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import { idempotent } from "../middleware/idempotency.js";
+import {
+  authenticate,
+  authorize,
+  requireSelf,
+  requireSelfParam,
+  requireEventOwner,
+} from "../middleware/auth.js";
+import { bookingLimiter, statusLimiter } from "../middleware/rateLimiter.js";
 
 /**
  * Booking Routes
@@ -17,14 +35,27 @@ import { asyncHandler } from "../middleware/errorHandler.js";
  *
  * HOW IT WORKS:
  * 1. Request comes in (e.g., POST /book)
- * 2. Validation middleware checks data
- * 3. If valid → asyncHandler wraps controller
- * 4. If invalid → Error response sent
+ * 2. Auth middleware checks the bearer token and role
+ *    (then the rate limiter counts the request against the user)
+ * 3. Validation middleware checks data
+ *    (/book and /cancel: a retried Idempotency-Key gets its first
+ *    response back here, see middleware/idempotency.js)
+ * 4. If valid → asyncHandler wraps controller
+ * 5. If invalid → Error response sent
  *
  * ROUTES:
  * POST   /initialize     - Create new event
  * POST   /book          - Book a ticket
  * POST   /cancel        - Cancel a booking
+ * POST   /hold          - Hold tickets during checkout
+ * POST   /confirm       - Confirm held tickets
+ * POST   /offer/accept  - Accept a waiting list offer
+ * POST   /offer/decline - Decline a waiting list offer
+ * POST   /waitlist/leave - Leave the waiting list
+ * GET    /events/:eventId/waitlist/:userId - Current waiting list rank
+ * PATCH  /events/:eventId/capacity - Change an event's total tickets
+ * POST   /events/:eventId/status - Publish, close or cancel an event
+ * POST   /events/:eventId/cancel - Cancel an event and all its bookings
  * GET    /status/:id    - Get event status
  */
 
@@ -32,40 +63,198 @@ const router = express.Router();
 
 /**
  * POST /initialize
- * Initialize a new event with tickets
+ * Initialize a new event with tickets (organizers and admins only)
  *
+ * HEADERS: Authorization: Bearer <token>
  * BODY: { name, totalTickets }
  */
 router.post(
   "/initialize",
+  authenticate,
+  authorize("organizer", "admin"),
   createValidationMiddleware(initializeEventSchema),
   asyncHandler((req, res) => bookingController.initializeEvent(req, res))
 );
 
 /**
  * POST /book
- * Book a ticket for a user
+ * Book a ticket for the authenticated user
  *
- * BODY: { eventId, userId }
+ * HEADERS: Authorization: Bearer <token>, Idempotency-Key? (retry safely)
+ * BODY: { eventId, userId?, paymentMethod?, promoCode?, accessCode? }
+ *       (userId defaults to the token subject; paymentMethod is required
+ *       for paid tickets, accessCode during a presale)
  */
 router.post(
   "/book",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
   createValidationMiddleware(bookTicketSchema),
+  idempotent,
   asyncHandler((req, res) => bookingController.bookTicket(req, res))
 );
 
 /**
  * POST /cancel
- * Cancel a booking (free up a ticket)
+ * Cancel the authenticated user's booking (free up a ticket)
  *
- * BODY: { eventId, userId }
+ * HEADERS: Authorization: Bearer <token>, Idempotency-Key? (retry safely)
+ * BODY: { eventId, userId? } (userId defaults to the token subject)
  */
 router.post(
   "/cancel",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
   createValidationMiddleware(cancelBookingSchema),
+  idempotent,
   asyncHandler((req, res) => bookingController.cancelBooking(req, res))
 );
 
+/**
+ * POST /hold
+ * Reserve tickets for the authenticated user while they check out
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { eventId, userId?, quantity? }
+ */
+router.post(
+  "/hold",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
+  createValidationMiddleware(holdTicketSchema),
+  asyncHandler((req, res) => bookingController.holdTicket(req, res))
+);
+
+/**
+ * POST /confirm
+ * Confirm the authenticated user's held tickets, paying for them first
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { eventId, userId?, paymentMethod? }
+ */
+router.post(
+  "/confirm",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
+  createValidationMiddleware(confirmHoldSchema),
+  asyncHandler((req, res) => bookingController.confirmHold(req, res))
+);
+
+/**
+ * POST /offer/accept
+ * Accept the ticket offered to the authenticated user from the waiting list
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { eventId, userId?, paymentMethod? }
+ */
+router.post(
+  "/offer/accept",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
+  createValidationMiddleware(acceptOfferSchema),
+  asyncHandler((req, res) => bookingController.acceptOffer(req, res))
+);
+
+/**
+ * POST /offer/decline
+ * Decline the offer; the tickets roll over to the next person in line
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { eventId, userId? }
+ */
+router.post(
+  "/offer/decline",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
+  createValidationMiddleware(offerResponseSchema),
+  asyncHandler((req, res) => bookingController.declineOffer(req, res))
+);
+
+/**
+ * POST /waitlist/leave
+ * Take the authenticated user off the waiting list for an event
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { eventId, userId? }
+ */
+router.post(
+  "/waitlist/leave",
+  authenticate,
+  bookingLimiter,
+  requireSelf,
+  createValidationMiddleware(leaveWaitingListSchema),
+  asyncHandler((req, res) => bookingController.leaveWaitingList(req, res))
+);
+
+/**
+ * GET /events/:eventId/waitlist/:userId
+ * How many people are really ahead of the user on the waiting list
+ *
+ * HEADERS: Authorization: Bearer <token> (the same user, or an admin)
+ */
+router.get(
+  "/events/:eventId/waitlist/:userId",
+  authenticate,
+  statusLimiter,
+  requireSelfParam("userId"),
+  createValidationMiddleware(waitingListPositionSchema, "params"),
+  asyncHandler((req, res) => bookingController.getWaitingListPosition(req, res))
+);
+
+/**
+ * PATCH /events/:eventId/capacity
+ * Raise or lower an event's total tickets (event owner or admin)
+ * New tickets are offered to the waiting list straight away
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { totalTickets }
+ */
+router.patch(
+  "/events/:eventId/capacity",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(changeCapacitySchema),
+  asyncHandler((req, res) => bookingController.changeCapacity(req, res))
+);
+
+/**
+ * POST /events/:eventId/status
+ * Move an event through its lifecycle (event owner or admin)
+ * draft → on_sale → closed, any → cancelled
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { status }
+ */
+router.post(
+  "/events/:eventId/status",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(changeEventStatusSchema),
+  asyncHandler((req, res) => bookingController.changeEventStatus(req, res))
+);
+
+/**
+ * POST /events/:eventId/cancel
+ * Cancel the event, every booking and the waiting list, and notify
+ * everyone affected (event owner or admin)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { reason? }
+ */
+router.post(
+  "/events/:eventId/cancel",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(cancelEventSchema),
+  asyncHandler((req, res) => bookingController.cancelEvent(req, res))
+);
+
 /**
  * GET /status/:eventId
  * Get current event status (tickets available, waiting list, etc)
@@ -74,6 +263,7 @@ router.post(
  */
 router.get(
   "/status/:eventId",
+  statusLimiter,
   asyncHandler((req, res) => bookingController.getEventStatus(req, res))
 );
 
@@ -0,0 +1,98 @@
+import express from "express";
+import eventController from "../controllers/EventController.js";
+import {
+  createValidationMiddleware,
+  listEventsSchema,
+  updateEventSchema,
+  eventStatusSchema,
+  ticketTierSchema,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { authenticate, requireEventOwner } from "../middleware/auth.js";
+import { browseLimiter, statusLimiter } from "../middleware/rateLimiter.js";
+
+/**
+ * Event Routes
+ *
+ * WHAT IT DOES:
+ * - Browsing and managing events (creating one is POST /initialize)
+ * - Reads are public, changes need the event owner or an admin
+ *
+ * ROUTES:
+ * GET    /events          - List events (paginated, filterable, sortable)
+ * GET    /events/:eventId - Get one event
+ * PATCH  /events/:eventId - Update an event
+ * DELETE /events/:eventId - Delete an event with no active bookings
+ * POST   /events/:eventId/tiers - Add a ticket tier to a draft event
+ */
+
+const router = express.Router();
+
+/**
+ * GET /events
+ * List events
+ *
+ * QUERY: page, limit, name, ownerId, available, sortBy, order
+ */
+router.get(
+  "/events",
+  browseLimiter,
+  createValidationMiddleware(listEventsSchema, "query"),
+  asyncHandler((req, res) => eventController.listEvents(req, res))
+);
+
+/**
+ * GET /events/:eventId
+ * Get an event's details
+ */
+router.get(
+  "/events/:eventId",
+  statusLimiter,
+  createValidationMiddleware(eventStatusSchema, "params"),
+  asyncHandler((req, res) => eventController.getEvent(req, res))
+);
+
+/**
+ * PATCH /events/:eventId
+ * Update an event (event owner or admin)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { name? }
+ */
+router.patch(
+  "/events/:eventId",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(updateEventSchema),
+  asyncHandler((req, res) => eventController.updateEvent(req, res))
+);
+
+/**
+ * DELETE /events/:eventId
+ * Delete an event (event owner or admin)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ */
+router.delete(
+  "/events/:eventId",
+  authenticate,
+  requireEventOwner(),
+  asyncHandler((req, res) => eventController.deleteEvent(req, res))
+);
+
+/**
+ * POST /events/:eventId/tiers
+ * Add a ticket tier (event owner or admin, draft events only)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { name, price?, totalTickets }
+ */
+router.post(
+  "/events/:eventId/tiers",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(ticketTierSchema),
+  asyncHandler((req, res) => eventController.addTier(req, res))
+);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import promoCodeController from "../controllers/PromoCodeController.js";
+import {
+  createValidationMiddleware,
+  createPromoCodeSchema,
+  eventPromoCodeSchema,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  authenticate,
+  authorize,
+  requireEventOwner,
+} from "../middleware/auth.js";
+
+/**
+ * Promo Code Routes
+ *
+ * WHAT IT DOES:
+ * - Creating discount codes (users redeem them with POST /book)
+ * - Codes for every event need an admin, codes for one event its owner
+ *
+ * ROUTES:
+ * POST   /promo-codes                 - Create a code (any event, or one)
+ * POST   /events/:eventId/promo-codes - Create a code for one event
+ */
+
+const router = express.Router();
+
+/**
+ * POST /promo-codes
+ * Create a promo code (admins only)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { code, discountType, discountValue, maxRedemptions?, perUserLimit?,
+ *         validFrom?, validUntil?, eventId?, tierId? }
+ */
+router.post(
+  "/promo-codes",
+  authenticate,
+  authorize("admin"),
+  createValidationMiddleware(createPromoCodeSchema),
+  asyncHandler((req, res) => promoCodeController.createPromoCode(req, res))
+);
+
+/**
+ * POST /events/:eventId/promo-codes
+ * Create a promo code for one event (event owner or admin)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { code, discountType, discountValue, maxRedemptions?, perUserLimit?,
+ *         validFrom?, validUntil?, tierId? }
+ */
+router.post(
+  "/events/:eventId/promo-codes",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(eventPromoCodeSchema),
+  asyncHandler((req, res) => promoCodeController.createPromoCode(req, res))
+);
+
+export default router;
@@ -0,0 +1,86 @@
+import express from "express";
+import venueController from "../controllers/VenueController.js";
+import {
+  createValidationMiddleware,
+  createVenueSchema,
+  venueIdSchema,
+  attachSeatMapSchema,
+  sectionSeatsSchema,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  authenticate,
+  authorize,
+  requireEventOwner,
+} from "../middleware/auth.js";
+import { browseLimiter, statusLimiter } from "../middleware/rateLimiter.js";
+
+/**
+ * Venue Routes
+ *
+ * WHAT IT DOES:
+ * - Venues with seat maps, and per-event seat availability
+ * - Reads are public, changes need an organizer (or the event owner)
+ *
+ * ROUTES:
+ * POST   /venues           - Create a venue with its seat map
+ * GET    /venues/:venueId  - Get a venue and its sections
+ * POST   /events/:eventId/seatmap - Attach a venue's seat map to an event
+ * GET    /events/:eventId/sections/:sectionId/seats - Seat availability grid
+ */
+
+const router = express.Router();
+
+/**
+ * POST /venues
+ * Create a venue with its seat map (organizers and admins only)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { name, address?, sections: [{ name, rows: [{ row, seats }] }] }
+ */
+router.post(
+  "/venues",
+  authenticate,
+  authorize("organizer", "admin"),
+  createValidationMiddleware(createVenueSchema),
+  asyncHandler((req, res) => venueController.createVenue(req, res))
+);
+
+/**
+ * GET /venues/:venueId
+ * Get a venue and its sections
+ */
+router.get(
+  "/venues/:venueId",
+  browseLimiter,
+  createValidationMiddleware(venueIdSchema, "params"),
+  asyncHandler((req, res) => venueController.getVenue(req, res))
+);
+
+/**
+ * POST /events/:eventId/seatmap
+ * Attach a venue's seat map (event owner or admin, draft events only)
+ *
+ * HEADERS: Authorization: Bearer <token>
+ * BODY: { venueId }
+ */
+router.post(
+  "/events/:eventId/seatmap",
+  authenticate,
+  requireEventOwner(),
+  createValidationMiddleware(attachSeatMapSchema),
+  asyncHandler((req, res) => venueController.attachSeatMap(req, res))
+);
+
+/**
+ * GET /events/:eventId/sections/:sectionId/seats
+ * Which seats of a section are available, held or booked for the event
+ */
+router.get(
+  "/events/:eventId/sections/:sectionId/seats",
+  statusLimiter,
+  createValidationMiddleware(sectionSeatsSchema, "params"),
+  asyncHandler((req, res) => venueController.getSeatAvailability(req, res))
+);
+
+export default router;
@@ -1,8 +1,42 @@
-import AsyncLock from "async-lock";
-import { Event, Booking, WaitingList } from "../models/index.js";
+import { Op, QueryTypes } from "sequelize";
+import {
+  Event,
+  Booking,
+  WaitingList,
+  TicketTier,
+  Section,
+  Seat,
+  BookingSeat,
+  Payment,
+  Refund,
+  PromoCode,
+} from "../models/index.js";
 import sequelize from "../config/database.js";
+import notificationService from "./NotificationService.js";
+import paymentService from "./PaymentService.js";
+import promoCodeService from "./PromoCodeService.js";
 import logger from "../utils/logger.js";
-import { formatDateISO, formatDateReadable } from "../utils/dateFormatter.js";
+import {
+  EVENT_DETAIL_FIELDS,
+  EVENT_PRIVATE_FIELDS,
+  EVENT_STATUS_TRANSITIONS,
+  EVENT_TIME_FIELDS,
+  assertValidPresale,
+  assertValidSchedule,
+} from "../models/event.js";
+import { assertValidTier } from "../models/ticketTier.js";
+import { discountCents } from "../models/promoCode.js";
+import { findBestSeats } from "../utils/seatAllocator.js";
+import { formatAmount, toCents } from "../utils/money.js";
+import {
+  assertValidRefundPolicy,
+  refundPercent,
+} from "../utils/refundPolicy.js";
+import {
+  formatDateISO,
+  formatDateReadable,
+  isValidTimeZone,
+} from "../utils/dateFormatter.js";
 
 /**
   BookingService - CORE BUSINESS LOGIC
@@ -13,7 +47,10 @@ import { formatDateISO, formatDateReadable } from "../utils/dateFormatter.js";
   - Manages waiting list automatically
  
   CONCURRENCY:
-   AsyncLock helps to ensure only ONE operation happens at a time per event
+   Every booking/cancellation runs inside a database transaction that takes
+   a row lock on the event (SELECT ... FOR UPDATE). The lock lives in
+   PostgreSQL, so only ONE operation happens at a time per event no matter
+   how many Node processes are running behind the load balancer
  
   WITHOUT LOCKS:
   User A: reads availableTickets (100) → books
@@ -26,15 +63,39 @@ import { formatDateISO, formatDateReadable } from "../utils/dateFormatter.js";
   Result: Ensures correct booking count;  OVERBOOKING is prevented
  */
 
-class BookingService {
-  constructor() {
-    // Create a lock instance - one lock per event ID
-    this.lock = new AsyncLock({
-      timeout: 5000, // Wait max 5 seconds for lock
-      maxPending: 1000, // Max 1000 pending locks
-    });
-  }
+// Wait max 5 seconds for the event row lock before giving up
+const LOCK_TIMEOUT_MS = 5000;
+
+// Most tickets one user can hold for a single event
+const MAX_TICKETS_PER_USER =
+  parseInt(process.env.MAX_TICKETS_PER_USER, 10) || 10;
+
+// How long a held ticket stays reserved before the sweeper releases it
+const HOLD_DURATION_MS =
+  parseInt(process.env.HOLD_DURATION_MS, 10) || 10 * 60 * 1000;
+
+// How long a waiting user has to accept an offered ticket
+const OFFER_WINDOW_MS =
+  parseInt(process.env.WAITLIST_OFFER_WINDOW_MS, 10) || 30 * 60 * 1000;
+
+// Event statuses that accept bookings (sold out → waiting list)
+const BOOKABLE_STATUSES = ["on_sale", "sold_out"];
+
+// Statuses a new event can start in
+const INITIAL_STATUSES = ["draft", "on_sale"];
 
+// Booking statuses that hold tickets (for the presale cap)
+const TICKET_HOLDING_STATUSES = ["confirmed", "held", "offered"];
+
+// Booking statuses still live when an event is cancelled
+const CANCELLABLE_BOOKING_STATUSES = [
+  "confirmed",
+  "held",
+  "offered",
+  "waiting",
+];
+
+class BookingService {
   /**
    * Helper: Format timestamps in response data
    * Converts ISO timestamps to readable format
@@ -56,6 +117,21 @@ class BookingService {
       if (formatted.timestamp) {
         formatted.timestamp = formatDateReadable(formatted.timestamp);
       }
+      if (formatted.expiresAt) {
+        formatted.expiresAt = formatDateReadable(formatted.expiresAt);
+      }
+      // Event times are shown in the event's own timezone
+      for (const field of EVENT_TIME_FIELDS) {
+        if (formatted[field]) {
+          formatted[field] = formatDateReadable(
+            formatted[field],
+            formatted.timezone
+          );
+        }
+      }
+      for (const field of EVENT_PRIVATE_FIELDS) {
+        delete formatted[field];
+      }
       return formatted;
     }
 
@@ -70,31 +146,105 @@ class BookingService {
  INPUT:
     name: Event name (e.g., "Concert")
     totalTickets: How many tickets to create
+    ownerId: userId of the organizer creating it (optional)
+    details: startsAt, endsAt, salesStartAt, salesEndAt, venueName,
+             venueAddress, description, category, timezone, price,
+             currency, refundPolicy (all optional),
+             status ('draft' by default, or 'on_sale' to open bookings
+             straight away),
+             tiers: [{ name, price, totalTickets }] (optional; the event's
+             totalTickets is then the sum of the tiers and may be omitted)
 
     OUTPUT:
     - Event object with id, name, totalTickets, availableTickets
+      (plus tiers, if any)
    
     THROWS Error if validation fails
 */
-  async initializeEvent(name, totalTickets) {
+  async initializeEvent(name, totalTickets, ownerId = null, details = {}) {
     try {
       // Validate inputs
       if (!name || typeof name !== "string") {
         throw new Error("Event name must be a non-empty string");
       }
+      const tiers = details.tiers || [];
+      if (tiers.length > 0) {
+        tiers.forEach(assertValidTier);
+        if (new Set(tiers.map((tier) => tier.name)).size !== tiers.length) {
+          throw new Error("Ticket tier names must be unique");
+        }
+
+        const tierTotal = tiers.reduce((sum, t) => sum + t.totalTickets, 0);
+        if (totalTickets != null && totalTickets !== tierTotal) {
+          throw new Error(
+            `Total tickets (${totalTickets}) must equal the sum of the tier capacities (${tierTotal})`
+          );
+        }
+        totalTickets = tierTotal;
+      }
       if (!Number.isInteger(totalTickets) || totalTickets < 1) {
         throw new Error("Total tickets must be a positive integer");
       }
+      if (
+        details.status !== undefined &&
+        !INITIAL_STATUSES.includes(details.status)
+      ) {
+        throw new Error("New events must start as draft or on_sale");
+      }
+      if (
+        details.timezone !== undefined &&
+        !isValidTimeZone(details.timezone)
+      ) {
+        throw new Error(`Unknown timezone: ${details.timezone}`);
+      }
+      assertValidSchedule(details);
+      assertValidPresale({ ...details, totalTickets });
+      assertValidRefundPolicy(details.refundPolicy);
 
-      // Create event in database
-      const event = await Event.create({
-        name,
-        totalTickets,
-        availableTickets: totalTickets,
-      });
+      // Only copy the known detail fields
+      const eventDetails = {};
+      for (const field of EVENT_DETAIL_FIELDS) {
+        if (details[field] !== undefined) {
+          eventDetails[field] = details[field];
+        }
+      }
+
+      // Create event (and its tiers) in database, all or nothing
+      const { event, createdTiers } = await sequelize.transaction(
+        async (transaction) => {
+          const event = await Event.create(
+            {
+              name,
+              totalTickets,
+              availableTickets: totalTickets,
+              ownerId,
+              status: details.status || "draft",
+              ...eventDetails,
+            },
+            { transaction }
+          );
+
+          const createdTiers = await TicketTier.bulkCreate(
+            tiers.map((tier) => ({
+              eventId: event.id,
+              name: tier.name,
+              price: tier.price ?? 0,
+              totalTickets: tier.totalTickets,
+              availableTickets: tier.totalTickets,
+            })),
+            { transaction, returning: true }
+          );
+
+          return { event, createdTiers };
+        }
+      );
 
       logger.info(`Event initialized: ${event.id}, Tickets: ${totalTickets}`);
-      return this.formatResponse(event);
+      const formatted = this.formatResponse(event);
+      if (createdTiers.length > 0) {
+        formatted.tiers = createdTiers.map((tier) => this.formatResponse(tier));
+      }
+      return formatted;
     } catch (error) {
       logger.error(`Error initializing event: ${error.message}`);
       throw error;
@@ -102,89 +252,238 @@ class BookingService {
   }
 
   /**
-    BOOK A TICKET
+    BOOK TICKETS
    
     CONCURRENCY (Uses locks)
     LOGIC:
     1. LOCK the event (no other operation can happen)
-    2. Check if tickets are available
-       - YES: Create booking with status='confirmed', decrease number available tickets
-       - NO: Add to waiting list with status='waiting'
+       During a presale: check the user's access and the presale cap
+    2. Check if ALL requested tickets are available (all-or-nothing)
+       - YES: Create booking with status='confirmed', decrease available tickets by quantity
+       - NO: Add the WHOLE request to waiting list with status='waiting'
     3. UNLOCK event
+
+    ATOMICITY:
+    Everything runs in ONE transaction - if creating the WaitingList row
+    fails, the waiting Booking row is rolled back with it
+
     INPUT:
     - eventId: Which event?
     - userId: Who is booking?
+    - quantity: How many tickets (default 1, max MAX_TICKETS_PER_USER)
+    - options:
+      - tierId: Which ticket tier (required if the event has tiers; the
+        availability check and the waiting list are then per tier)
+      - seatIds: Which seats, for events with a seat map (quantity is then
+        the number of seats). Left out, the best `quantity` seats together
+        are picked (see utils/seatAllocator.js). Seats are all-or-nothing
+        and never join the waiting list: if one is taken, nothing is booked
+      - paymentMethod: payment method token, required when the tickets
+        cost something. The tickets are HELD while the payment provider
+        authorizes and captures the money, and only then confirmed
+        (see _collectPayment). A waiting user pays on acceptOffer instead
+      - promoCode: discount code. It is checked and used up under the
+        event lock, together with the booking. A waiting booking keeps
+        it, and gets the discount when its offer is accepted
+      - accessCode: presale access code, needed to book during the
+        event's presale unless the user is on its presaleUserIds list.
+        Presale bookings never join the waiting list
    
     OUTPUT:
-    - Booking object
+    - Booking object (with seats, for seated events)
    
     THROWS Errors:
     - If event not found
+    - If the event isn't on sale (draft, closed or cancelled)
+    - If it's outside the sales window ("Sales not open yet" / "Sales closed")
+    - During a presale: if the user has no access, or the presale
+      capacity or the tickets can't cover the quantity
     - If user already has booking for this event
+    - If quantity is above the per-user maximum
+    - If the tier is missing (tiered event) or unknown
+    - If seats are unknown or already taken, or no `quantity` seats
+      are free together
+    - If the promo code is unknown, not valid now or for these tickets,
+      or has no uses left (see PromoCodeService.findRedeemable)
+    - If the tickets cost something and no payment method was given
+    - If the payment fails ("Payment failed: ..."); the tickets are
+      released again (and the promo code can be used again)
 */
-  async bookTicket(eventId, userId) {
+  async bookTicket(eventId, userId, quantity = 1, options = {}) {
     try {
+      const {
+        tierId = null,
+        seatIds = null,
+        paymentMethod = null,
+        promoCode = null,
+        accessCode = null,
+      } = options;
       if (!eventId || !userId) {
         throw new Error("Event ID and User ID are required");
       }
+      if (seatIds) {
+        quantity = seatIds.length;
+      }
+      this._validateQuantity(quantity);
+
+      // Set when the tickets have to be paid for before they're confirmed
+      let payment = null;
 
       // Only ONE bookTicket operation per event at a time
-      return await this.lock.acquire(eventId, async () => {
-        // Check if user already has booking
-        const existingBooking = await Booking.findOne({
-          where: { eventId, userId },
-          attributes: ["id", "status"],
-        });
+      const booking = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          // Before general sale only presale access holders get in
+          const presale = this._inPresale(event);
+          if (presale) {
+            await this._assertPresaleAccess(
+              event,
+              userId,
+              accessCode,
+              quantity,
+              transaction
+            );
+          } else {
+            this._assertOnSale(event);
+          }
 
-        if (existingBooking && existingBooking.status !== "cancelled") {
-          throw new Error("User already has active booking for this event");
-        }
+          // Check if user already has booking
+          await this._assertNoActiveBooking(eventId, userId, transaction);
 
-        // Fetch event details
-        const event = await Event.findByPk(eventId);
-        if (!event) {
-          throw new Error("Event not found");
-        }
+          // Tickets come from the tier's pool, or the event's if untiered
+          const tier = await this._findTier(event, tierId, transaction);
+          const pool = tier || event;
+
+          // Locks the code's row until we commit (see PromoCodeService)
+          const promo = promoCode
+            ? await promoCodeService.findRedeemable(
+                promoCode,
+                { event, tier, userId },
+                transaction
+              )
+            : null;
+
+          // Seated event: book exactly these seats, or fail
+          const seats = await this._findSeats(
+            event,
+            seatIds,
+            quantity,
+            transaction
+          );
+          if (seats) {
+            await this._reserveTickets(event, tier, quantity, transaction);
+            const booking = await Booking.create(
+              {
+                eventId,
+                userId,
+                quantity,
+                presale,
+                promoCodeId: promo ? promo.id : null,
+                ...this._confirmedOrAwaitingPayment(
+                  event,
+                  tier,
+                  quantity,
+                  paymentMethod,
+                  promo
+                ),
+              },
+              { transaction }
+            );
+            await promoCodeService.redeem(promo, booking, transaction);
+            await this._claimSeats(booking, seats, transaction);
+            payment = await this._startPayment(booking, transaction);
+
+            logger.info(
+              `Seats booked: User ${userId}, Event ${eventId}, Seats: ${seats.map(this._seatLabel).join(", ")}`
+            );
+            return this._formatSeatedBooking(booking, seats);
+          }
+
+          // CASE 1: Enough tickets available → Confirm booking
+          if (pool.availableTickets >= quantity) {
+            // Decrease available tickets by the full quantity
+            await this._reserveTickets(event, tier, quantity, transaction);
+
+            // Create confirmed booking (held until paid, for paid tickets)
+            const booking = await Booking.create(
+              {
+                eventId,
+                tierId: tier ? tier.id : null,
+                userId,
+                quantity,
+                presale,
+                promoCodeId: promo ? promo.id : null,
+                ...this._confirmedOrAwaitingPayment(
+                  event,
+                  tier,
+                  quantity,
+                  paymentMethod,
+                  promo
+                ),
+              },
+              { transaction }
+            );
+            await promoCodeService.redeem(promo, booking, transaction);
+            payment = await this._startPayment(booking, transaction);
 
-        // CASE 1: Tickets available → Confirm booking
-        if (event.availableTickets > 0) {
-          // Decrease available tickets by 1
-          await event.decrement("availableTickets", { by: 1 });
+            logger.info(
+              `Ticket booked: User ${userId}, Event ${eventId}, Quantity: ${quantity}, Status: ${booking.status}`
+            );
+            return this.formatResponse(booking);
+          }
 
-          // Create confirmed booking
-          const booking = await Booking.create({
+          // CASE 2: Not enough tickets → Add whole request to waiting list
+          // (not in a presale: the waiting list is for general sale)
+          if (presale) {
+            throw new Error("Not enough tickets available in the presale");
+          }
+          const nextPosition = await this._getNextWaitingPosition(
             eventId,
-            userId,
-            status: "confirmed",
-          });
+            transaction
+          );
+
+          const booking = await Booking.create(
+            {
+              eventId,
+              tierId: tier ? tier.id : null,
+              userId,
+              quantity,
+              status: "waiting",
+              position: nextPosition,
+              promoCodeId: promo ? promo.id : null,
+            },
+            { transaction }
+          );
+          await promoCodeService.redeem(promo, booking, transaction);
+
+          await WaitingList.create(
+            {
+              eventId,
+              tierId: tier ? tier.id : null,
+              userId,
+              quantity,
+              position: nextPosition,
+            },
+            { transaction }
+          );
 
           logger.info(
-            `Ticket booked: User ${userId}, Event ${eventId}, Status: confirmed`
+            `Ticket not available: User ${userId}, Event ${eventId}, Position: ${nextPosition}`
           );
           return this.formatResponse(booking);
         }
+      );
 
-        // CASE 2: No tickets → Add to waiting list
-        const nextPosition = await this._getNextWaitingPosition(eventId);
-
-        const booking = await Booking.create({
-          eventId,
-          userId,
-          status: "waiting",
-          position: nextPosition,
-        });
-
-        await WaitingList.create({
+      // Take the money with the event unlocked, then confirm or release
+      if (payment) {
+        return await this._collectPayment(
           eventId,
-          userId,
-          position: nextPosition,
-        });
-
-        logger.info(
-          `Ticket not available: User ${userId}, Event ${eventId}, Position: ${nextPosition}`
+          payment,
+          paymentMethod,
+          booking
         );
-        return this.formatResponse(booking);
-      });
+      }
+      return booking;
     } catch (error) {
       logger.error(`Error booking ticket: ${error.message}`);
       throw error;
@@ -194,73 +493,169 @@ class BookingService {
   /**
    * CANCEL A BOOKING
    *
+   * Works for confirmed bookings and for held tickets (releasing a hold
+   * early instead of waiting for it to expire)
+   *
    * CONCURRENCY CRITICAL! Uses locks!
    *
    * LOGIC:
    * 1. LOCK the event
-   * 2. Find and cancel the booking
-   * 3. Increase available tickets by 1
+   * 2. Cancel the booking (or release part of its quantity)
+   * 3. Increase available tickets by the released quantity
    * 4. Check waiting list
-   *    - If people waiting: Auto-assign first person
-   *    - Update positions of remaining people
-   * 5. UNLOCK event
+   *    - If people waiting: OFFER the tickets to them in position order
+   *      (they must accept before the deadline, see acceptOffer)
+   * 5. Paid tickets: record a Refund, sized by the event's refund policy
+   * 6. UNLOCK event
+   * 7. After COMMIT: send the refund to the payment provider
+   *
+   * ATOMICITY:
+   * All writes (booking, counter, waiting list, assigned bookings,
+   * counter again) share ONE transaction. A crash anywhere rolls back all
+   * of them, so counters and statuses never disagree
    *
    * INPUT:
    * - eventId: Which event?
    * - userId: Who is cancelling?
+   * - quantity: How many tickets to release (default: all of them)
    *
    * OUTPUT:
-   * - Booking object (status='cancelled')
-   * - Assigned user (if any) from waiting list
+   * - Booking object (status='cancelled', or still 'confirmed' with the
+   *   remaining quantity after a partial cancellation)
+   * - releasedTickets: how many tickets were given back
+   * - Assigned users (if any) from waiting list - bookings in 'offered'
+   *   status, waiting for the user to accept
+   * - refund: the Refund for paid tickets ('refunded', 'not_refundable'
+   *   or 'failed' if the provider refused), null if nothing was paid
    */
-  async cancelBooking(eventId, userId) {
+  async cancelBooking(eventId, userId, quantity = null) {
     try {
       if (!eventId || !userId) {
         throw new Error("Event ID and User ID are required");
       }
+      if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+        throw new Error("Quantity must be a positive integer");
+      }
 
-      return await this.lock.acquire(eventId, async () => {
-        // Find the booking
-        const booking = await Booking.findOne({
-          where: { eventId, userId, status: "confirmed" },
-        });
+      const result = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          // Find the booking
+          const booking = await Booking.findOne({
+            where: {
+              eventId,
+              userId,
+              status: { [Op.in]: ["confirmed", "held"] },
+            },
+            transaction,
+          });
 
-        if (!booking) {
-          throw new Error("No confirmed booking found for this user");
-        }
+          if (!booking) {
+            throw new Error("No confirmed booking found for this user");
+          }
 
-        // Mark booking as cancelled
-        await booking.update({ status: "cancelled" });
+          const releasedTickets = quantity ?? booking.quantity;
+          if (releasedTickets > booking.quantity) {
+            throw new Error(
+              `Cannot cancel ${releasedTickets} tickets, booking only has ${booking.quantity}`
+            );
+          }
 
-        // Increase available tickets
-        const event = await Event.findByPk(eventId);
-        await event.increment("availableTickets", { by: 1 });
+          // Priced before the booking shrinks
+          const refund = await this._createRefund(
+            event,
+            booking,
+            releasedTickets,
+            "booking_cancelled",
+            transaction
+          );
 
-        logger.info(`Booking cancelled: User ${userId}, Event ${eventId}`);
+          if (releasedTickets === booking.quantity) {
+            // A hold never got its tickets: its promo code can be used again
+            if (booking.status === "held") {
+              await promoCodeService.release(booking, transaction);
+            }
+            // Mark booking as cancelled and free its seats (if any)
+            await booking.update({ status: "cancelled" }, { transaction });
+            await this._releaseSeats(booking, transaction);
+          } else {
+            // We can't tell which of the seats the user wants to give up
+            const seatCount = await BookingSeat.count({
+              where: { bookingId: booking.id },
+              transaction,
+            });
+            if (seatCount > 0) {
+              throw new Error("Seated bookings can only be cancelled in full");
+            }
+            // The payment in flight was priced for the whole booking and
+            // would capture that price for fewer tickets
+            const paymentsInFlight = await Payment.count({
+              where: {
+                bookingId: booking.id,
+                status: ["pending", "authorized"],
+              },
+              transaction,
+            });
+            if (paymentsInFlight > 0) {
+              throw new Error(
+                "A booking that is being paid for can only be cancelled in full"
+              );
+            }
 
-        // Check if anyone is waiting
-        const nextWaiting = await WaitingList.findOne({
-          where: { eventId, status: "waiting" },
-          order: [["position", "ASC"]],
-        });
+            // Partial cancellation: keep the booking with fewer tickets.
+            // The total and discount lose the released tickets' share (as
+            // _createRefund works it out); the unit price stays as it was
+            const remainingShare = (amount) =>
+              amount === null
+                ? null
+                : formatAmount(
+                    toCents(amount) -
+                      Math.round(
+                        (toCents(amount) * releasedTickets) / booking.quantity
+                      )
+                  );
+            await booking.update(
+              {
+                quantity: booking.quantity - releasedTickets,
+                totalPrice: remainingShare(booking.totalPrice),
+                discountAmount: remainingShare(booking.discountAmount),
+              },
+              { transaction }
+            );
+          }
 
-        let assignedUser = null;
+          // Increase available tickets
+          await this._releaseTickets(
+            event,
+            booking.tierId,
+            releasedTickets,
+            transaction
+          );
 
-        if (nextWaiting) {
-          // AUTO-ASSIGN: Update waiting user to confirmed
-          assignedUser = await this._assignWaitingUserToTicket(
-            eventId,
-            nextWaiting.userId
+          logger.info(
+            `Booking cancelled: User ${userId}, Event ${eventId}, Released: ${releasedTickets}`
+          );
+
+          // Hand freed tickets to the waiting list (same tier only)
+          const assignedUsers = await this._promoteWaitingUsers(
+            event,
+            transaction,
+            booking.tierId
           );
-          // Decrement available tickets back since the waiting user filled it
-          await event.decrement("availableTickets", { by: 1 });
+
+          return {
+            cancelledBooking: this.formatResponse(booking),
+            releasedTickets,
+            assignedUser: assignedUsers[0] || null,
+            assignedUsers,
+            refund,
+          };
         }
+      );
 
-        return {
-          cancelledBooking: this.formatResponse(booking),
-          assignedUser: assignedUser ? this.formatResponse(assignedUser) : null,
-        };
-      });
+      // Pay the refund back with the event unlocked
+      const refund = await this._processRefund(result.refund);
+      return { ...result, refund: refund && this.formatResponse(refund) };
     } catch (error) {
       logger.error(`Error cancelling booking: ${error.message}`);
       throw error;
@@ -268,102 +663,1848 @@ class BookingService {
   }
 
   /**
-   * GET EVENT STATUS
+   * HOLD TICKETS (step 1 of reserve-then-confirm checkout)
    *
    * WHAT IT DOES:
-   * Returns current state of event:
-   * - Available tickets count
-   * - Waiting list count
-   * - Total bookings
+   * Reserves tickets for HOLD_DURATION_MS while the user pays.
+   * Held tickets are taken out of availableTickets straight away, so
+   * nobody else can grab them during checkout.
+   *
+   * LOGIC:
+   * 1. LOCK the event
+   * 2. Enough tickets? → Create booking with status='held' + expiresAt
+   *    Not enough? → Error (holds never join the waiting list; use /book)
+   * 3. UNLOCK event
    *
    * INPUT:
-   * - eventId: Which event?
+   * - eventId, userId
+   * - quantity: How many tickets to hold (default 1)
+   * - options: { tierId, seatIds }, as for bookTicket
    *
    * OUTPUT:
-   * - Event with aggregated counts
+   * - Booking object (status='held', expiresAt set)
    */
-  async getEventStatus(eventId) {
+  async holdTicket(eventId, userId, quantity = 1, options = {}) {
     try {
-      if (!eventId) {
-        throw new Error("Event ID is required");
+      const { tierId = null, seatIds = null } = options;
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
       }
-
-      const event = await Event.findByPk(eventId);
-      if (!event) {
-        throw new Error("Event not found");
+      if (seatIds) {
+        quantity = seatIds.length;
       }
+      this._validateQuantity(quantity);
 
-      // Count waiting people
-      const waitingCount = await WaitingList.count({
-        where: { eventId, status: "waiting" },
-      });
+      return await this._withEventLock(eventId, async (event, transaction) => {
+        this._assertOnSale(event);
+        await this._assertNoActiveBooking(eventId, userId, transaction);
+
+        const tier = await this._findTier(event, tierId, transaction);
+        const seats = await this._findSeats(
+          event,
+          seatIds,
+          quantity,
+          transaction
+        );
+        if ((tier || event).availableTickets < quantity) {
+          throw new Error("Not enough tickets available to hold");
+        }
+
+        await this._reserveTickets(event, tier, quantity, transaction);
+
+        const booking = await Booking.create(
+          {
+            eventId,
+            tierId: tier ? tier.id : null,
+            userId,
+            quantity,
+            status: "held",
+            expiresAt: new Date(Date.now() + HOLD_DURATION_MS),
+          },
+          { transaction }
+        );
 
-      // Count confirmed bookings
-      const confirmedCount = await Booking.count({
-        where: { eventId, status: "confirmed" },
+        logger.info(
+          `Tickets held: User ${userId}, Event ${eventId}, Quantity: ${quantity}`
+        );
+        if (seats) {
+          await this._claimSeats(booking, seats, transaction);
+          return this._formatSeatedBooking(booking, seats);
+        }
+        return this.formatResponse(booking);
       });
+    } catch (error) {
+      logger.error(`Error holding ticket: ${error.message}`);
+      throw error;
+    }
+  }
 
-      return {
-        eventId: event.id,
-        eventName: event.name,
-        totalTickets: event.totalTickets,
-        availableTickets: event.availableTickets,
-        bookedTickets: confirmedCount,
-        waitingListCount: waitingCount,
-        timestamp: formatDateReadable(new Date()),
-      };
+  /**
+   * CONFIRM A HOLD (step 2 of reserve-then-confirm checkout)
+   *
+   * WHAT IT DOES:
+   * Turns the user's unexpired hold into a confirmed booking.
+   * The tickets were already taken out of availableTickets by holdTicket,
+   * so no counters change here.
+   *
+   * Paid tickets are charged to paymentMethod first; the hold is only
+   * confirmed once the payment is captured (see _collectPayment)
+   *
+   * THROWS Errors:
+   * - If the user has no hold for this event
+   * - If the hold has expired (the sweeper releases it)
+   * - If the tickets cost something and no payment method was given
+   * - If the payment fails; the held tickets are released
+   */
+  async confirmHold(eventId, userId, paymentMethod = null) {
+    try {
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
+      }
+
+      let payment = null;
+      const booking = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          const hold = await Booking.findOne({
+            where: { eventId, userId, status: "held" },
+            transaction,
+          });
+
+          if (!hold) {
+            throw new Error("No held booking found for this user");
+          }
+
+          // Compare in SQL: afterFind turns expiresAt into a display string
+          const stillValid = await Booking.count({
+            where: { id: hold.id, expiresAt: { [Op.gt]: new Date() } },
+            transaction,
+          });
+          if (!stillValid) {
+            throw new Error("Hold has expired");
+          }
+
+          payment = await this._priceForConfirmation(
+            event,
+            hold,
+            paymentMethod,
+            transaction
+          );
+          if (!payment) {
+            logger.info(`Hold confirmed: User ${userId}, Event ${eventId}`);
+          }
+          return this.formatResponse(hold);
+        }
+      );
+
+      if (payment) {
+        return await this._collectPayment(
+          eventId,
+          payment,
+          paymentMethod,
+          booking
+        );
+      }
+      return booking;
     } catch (error) {
-      logger.error(`Error getting event status: ${error.message}`);
+      logger.error(`Error confirming hold: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * HELPER: Get next waiting list position
-   * Used when adding new person to waiting list
-   * Must handle concurrent requests safely
+   * ACCEPT A WAITLIST OFFER
+   *
+   * WHAT IT DOES:
+   * When tickets free up, the next waiting users get an OFFER (booking
+   * status 'offered', deadline in expiresAt) instead of being confirmed
+   * on the spot. Accepting turns the offer into a confirmed booking.
+   * The tickets were reserved when the offer was made, so no counters
+   * change here.
+   *
+   * Paid tickets are charged to paymentMethod first, as in confirmHold.
+   * A failed payment gives the offer up ('declined'), so the tickets move
+   * on to the next person in line
+   *
+   * THROWS Errors:
+   * - If the user has no offer for this event
+   * - If the offer deadline has passed (the sweeper rolls it over)
+   * - If the tickets cost something and no payment method was given
+   * - If the payment fails
    */
-  async _getNextWaitingPosition(eventId) {
-    const lastWaiting = await WaitingList.findOne({
-      where: { eventId, status: "waiting" },
-      order: [["position", "DESC"]],
-      attributes: ["position"],
-    });
+  async acceptOffer(eventId, userId, paymentMethod = null) {
+    try {
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
+      }
 
-    return lastWaiting ? lastWaiting.position + 1 : 1;
+      let payment = null;
+      const booking = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          const offer = await Booking.findOne({
+            where: { eventId, userId, status: "offered" },
+            transaction,
+          });
+
+          if (!offer) {
+            throw new Error("No ticket offer found for this user");
+          }
+
+          // Compare in SQL: afterFind turns expiresAt into a display string
+          const stillValid = await Booking.count({
+            where: { id: offer.id, expiresAt: { [Op.gt]: new Date() } },
+            transaction,
+          });
+          if (!stillValid) {
+            throw new Error("Offer has expired");
+          }
+
+          payment = await this._priceForConfirmation(
+            event,
+            offer,
+            paymentMethod,
+            transaction
+          );
+          if (!payment) {
+            logger.info(`Offer accepted: User ${userId}, Event ${eventId}`);
+          }
+          return this.formatResponse(offer);
+        }
+      );
+
+      if (payment) {
+        return await this._collectPayment(
+          eventId,
+          payment,
+          paymentMethod,
+          booking
+        );
+      }
+      return booking;
+    } catch (error) {
+      logger.error(`Error accepting offer: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * HELPER: Auto-assign waiting user to ticket
-   * Called when a cancellation happens and someone is waiting
+   * DECLINE A WAITLIST OFFER
+   *
+   * LOGIC:
+   * 1. LOCK the event
+   * 2. Cancel the offered booking, mark the waiting list entry 'declined'
+   * 3. Give the reserved tickets back
+   * 4. Offer them to the next waiting users in position order
+   * 5. UNLOCK event
+   *
+   * OUTPUT:
+   * - declinedBooking: the cancelled booking
+   * - nextOffers: bookings offered to the next people in line
    */
-  async _assignWaitingUserToTicket(eventId, userId) {
+  async declineOffer(eventId, userId) {
     try {
-      // Update waiting list entry to assigned
-      await WaitingList.update(
-        { status: "assigned" },
-        { where: { eventId, userId } }
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
+      }
+
+      const result = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          const offer = await Booking.findOne({
+            where: { eventId, userId, status: "offered" },
+            transaction,
+          });
+
+          if (!offer) {
+            throw new Error("No ticket offer found for this user");
+          }
+
+          const refund = await this._withdrawOffer(
+            event,
+            offer,
+            "declined",
+            transaction
+          );
+          logger.info(`Offer declined: User ${userId}, Event ${eventId}`);
+
+          const nextOffers = await this._promoteWaitingUsers(
+            event,
+            transaction,
+            offer.tierId
+          );
+
+          return {
+            declinedBooking: this.formatResponse(offer),
+            nextOffers,
+            refund,
+          };
+        }
       );
 
-      // Update booking to confirmed
-      const booking = await Booking.findOne({
-        where: { eventId, userId, status: "waiting" },
-      });
+      // A payment that went through for the offer is given back unlocked
+      const { refund, ...declined } = result;
+      await this._processRefund(refund);
+      return declined;
+    } catch (error) {
+      logger.error(`Error declining offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * LEAVE THE WAITING LIST
+   *
+   * LOGIC:
+   * 1. LOCK the event (so the user can't be offered tickets mid-withdrawal)
+   * 2. Find the user's 'waiting' entry
+   * 3. Mark it 'withdrawn' and cancel the matching waiting booking
+   * 4. UNLOCK event
+   *
+   * No tickets change hands: a waiting user never held any. A promo code
+   * the booking was keeping can be used again
+   *
+   * OUTPUT:
+   * - The cancelled booking
+   */
+  async leaveWaitingList(eventId, userId) {
+    try {
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
+      }
+
+      return await this._withEventLock(eventId, async (event, transaction) => {
+        const entry = await WaitingList.findOne({
+          where: { eventId, userId, status: "waiting" },
+          transaction,
+        });
+
+        if (!entry) {
+          throw new Error("User is not on the waiting list");
+        }
+
+        await entry.update({ status: "withdrawn" }, { transaction });
+
+        const booking = await Booking.findOne({
+          where: { eventId, userId, status: "waiting" },
+          transaction,
+        });
+        if (booking) {
+          await booking.update({ status: "cancelled" }, { transaction });
+          await promoCodeService.release(booking, transaction);
+        }
 
-      if (booking) {
-        await booking.update({ status: "confirmed" });
         logger.info(
-          `Auto-assigned waiting user to ticket: User ${userId}, Event ${eventId}`
+          `Left waiting list: User ${userId}, Event ${eventId}, Position ${entry.position}`
         );
-      }
 
-      // NOTE: We DON'T renumber positions to avoid UNIQUE constraint violations
-      // Gaps in positions are fine - queries use ORDER BY position anyway
-      // The important thing is that positions are unique per event, not sequential
+        return booking ? this.formatResponse(booking) : null;
+      });
+    } catch (error) {
+      logger.error(`Error leaving waiting list: ${error.message}`);
+      throw error;
+    }
+  }
 
-      return booking;
+  /**
+   * CHANGE AN EVENT'S CAPACITY
+   *
+   * CONCURRENCY CRITICAL! Uses locks!
+   *
+   * LOGIC:
+   * 1. LOCK the event
+   * 2. Work out how many tickets are already taken
+   *    (confirmed, held or offered = totalTickets - availableTickets)
+   * 3. Increase: add the new tickets to totalTickets AND availableTickets,
+   *    then offer them to waiting users in position order
+   *    Decrease: refuse if the new total is below the tickets already
+   *    taken, or the event would no longer have more tickets than its
+   *    presale cap; otherwise take the difference off availableTickets
+   * 4. UNLOCK event
+   *
+   * For a tiered event the change is made to ONE tier (the event totals
+   * move with it) and only that tier's waiting list gets offers
+   *
+   * INPUT:
+   * - eventId: Which event?
+   * - totalTickets: the new capacity (of the tier, if tierId is given)
+   * - tierId: Which ticket tier (required if the event has tiers)
+   *
+   * OUTPUT:
+   * - event: the updated event
+   * - tier: the updated tier (null for events without tiers)
+   * - offeredUsers: waiting users offered the new tickets (if any)
+   */
+  async changeCapacity(eventId, totalTickets, tierId = null) {
+    try {
+      if (!Number.isInteger(totalTickets) || totalTickets < 1) {
+        throw new Error("Total tickets must be a positive integer");
+      }
+
+      return await this._withEventLock(eventId, async (event, transaction) => {
+        if (event.venueId) {
+          throw new Error("The capacity of a seated event is its seat map");
+        }
+
+        const tier = await this._findTier(event, tierId, transaction);
+        const pool = tier || event;
+        const takenTickets = pool.totalTickets - pool.availableTickets;
+        const delta = totalTickets - pool.totalTickets;
+
+        if (totalTickets < takenTickets) {
+          throw new Error(
+            `Cannot reduce capacity to ${totalTickets}: ${takenTickets} tickets are already booked or reserved`
+          );
+        }
+        // The presale cap must still leave tickets for general sale
+        assertValidPresale(
+          { ...event.get(), totalTickets: event.totalTickets + delta },
+          { requireCapacity: false }
+        );
+
+        if (delta !== 0) {
+          // Negative delta takes tickets off both counters
+          const counters = { totalTickets: delta, availableTickets: delta };
+          await event.increment(counters, { transaction });
+          if (tier) {
+            await tier.increment(counters, { transaction });
+          }
+        }
+
+        logger.info(
+          `Event capacity changed: ${eventId}, ${totalTickets - delta} → ${totalTickets}`
+        );
+
+        const offeredUsers =
+          delta > 0
+            ? await this._promoteWaitingUsers(event, transaction, tierId)
+            : [];
+        await this._syncSoldOut(event, transaction);
+
+        return {
+          event: this.formatResponse(event),
+          tier: tier ? this.formatResponse(tier) : null,
+          offeredUsers,
+        };
+      });
+    } catch (error) {
+      logger.error(`Error changing capacity: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * CHANGE AN EVENT'S LIFECYCLE STATUS
+   *
+   * LOGIC:
+   * 1. LOCK the event
+   * 2. Check the move is allowed (see EVENT_STATUS_TRANSITIONS)
+   * 3. Save the new status
+   * 4. UNLOCK event
+   *
+   * 'sold_out' can't be set by hand: it follows availableTickets, and
+   * re-opening sales on a sold out event lands back on 'sold_out'
+   *
+   * Moving to 'cancelled' goes through cancelEvent, so every booking and
+   * waiting list entry is cancelled with it
+   *
+   * OUTPUT:
+   * - The updated event
+   *
+   * THROWS Error for illegal transitions
+   */
+  async changeEventStatus(eventId, status) {
+    try {
+      if (status === "sold_out") {
+        throw new Error("sold_out is set automatically when tickets run out");
+      }
+      if (!EVENT_STATUS_TRANSITIONS[status]) {
+        throw new Error(`Unknown event status: ${status}`);
+      }
+      if (status === "cancelled") {
+        const { event } = await this.cancelEvent(eventId);
+        return event;
+      }
+
+      return await this._withEventLock(eventId, async (event, transaction) => {
+        const previousStatus = event.status;
+        if (!EVENT_STATUS_TRANSITIONS[previousStatus].includes(status)) {
+          throw new Error(
+            `Cannot change event status from ${previousStatus} to ${status}`
+          );
+        }
+
+        await event.update({ status }, { transaction });
+        await this._syncSoldOut(event, transaction);
+
+        logger.info(
+          `Event status changed: ${eventId}, ${previousStatus} → ${event.status}`
+        );
+        return this.formatResponse(event);
+      });
+    } catch (error) {
+      logger.error(`Error changing event status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * CANCEL AN EVENT
+   *
+   * CONCURRENCY CRITICAL! Uses locks!
+   *
+   * LOGIC (ONE transaction, so it all happens or none of it does):
+   * 1. LOCK the event
+   * 2. Find every confirmed, held, offered and waiting booking
+   * 3. Cancel them all in one bulk UPDATE
+   * 4. Close every open waiting list entry (status 'cancelled')
+   * 5. Mark the event 'cancelled' and give all tickets back (every tier
+   *    and every seat too)
+   * 6. Record a FULL Refund for every paid booking (the refund policy is
+   *    for users who cancel, not for events that don't happen)
+   * 7. UNLOCK event
+   * 8. After COMMIT: send the refunds, then notify every affected user
+   *
+   * INPUT:
+   * - eventId: Which event?
+   * - reason: optional message passed on to users
+   *
+   * OUTPUT:
+   * - event: the cancelled event
+   * - summary: bookings cancelled, counted by their previous status
+   * - affectedUsers: what happened to each user
+   *   [{ userId, previousStatus, quantity, refund }] (refund is null when
+   *   nothing was paid)
+   */
+  async cancelEvent(eventId, reason = null) {
+    try {
+      const result = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          if (!EVENT_STATUS_TRANSITIONS[event.status].includes("cancelled")) {
+            throw new Error("Event is already cancelled");
+          }
+
+          const bookings = await Booking.findAll({
+            where: { eventId, status: CANCELLABLE_BOOKING_STATUSES },
+            transaction,
+          });
+
+          const refunds = [];
+          for (const booking of bookings) {
+            // Everyone gets their money back, and their promo code use
+            await promoCodeService.release(booking, transaction);
+            refunds.push(
+              await this._createRefund(
+                event,
+                booking,
+                booking.quantity,
+                "event_cancelled",
+                transaction
+              )
+            );
+          }
+
+          await Booking.update(
+            { status: "cancelled", expiresAt: null },
+            {
+              where: { eventId, status: CANCELLABLE_BOOKING_STATUSES },
+              transaction,
+            }
+          );
+
+          await WaitingList.update(
+            { status: "cancelled" },
+            { where: { eventId, status: ["waiting", "offered"] }, transaction }
+          );
+
+          await event.update(
+            { status: "cancelled", availableTickets: event.totalTickets },
+            { transaction }
+          );
+          await TicketTier.update(
+            { availableTickets: sequelize.col("totalTickets") },
+            { where: { eventId }, transaction }
+          );
+          await BookingSeat.destroy({ where: { eventId }, transaction });
+
+          const summary = { total: bookings.length };
+          for (const status of CANCELLABLE_BOOKING_STATUSES) {
+            summary[status] = 0;
+          }
+          const affectedUsers = bookings.map((booking, i) => {
+            summary[booking.status] += 1;
+            return {
+              userId: booking.userId,
+              previousStatus: booking.status,
+              quantity: booking.quantity,
+              refund: refunds[i],
+            };
+          });
+
+          logger.info(
+            `Event cancelled: ${eventId}, ${bookings.length} booking(s) cancelled`
+          );
+
+          return {
+            event: this.formatResponse(event),
+            summary,
+            affectedUsers,
+          };
+        }
+      );
+
+      // Only refund and tell users once the cancellation has committed
+      for (const affected of result.affectedUsers) {
+        const refund = await this._processRefund(affected.refund);
+        affected.refund = refund && this.formatResponse(refund);
+
+        notificationService.notify(affected.userId, "event_cancelled", {
+          eventId,
+          eventName: result.event.name,
+          previousStatus: affected.previousStatus,
+          quantity: affected.quantity,
+          refundAmount: refund ? refund.amount : null,
+          reason,
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error cancelling event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * RELEASE EXPIRED HOLDS (called by the hold sweeper job)
+   *
+   * WHAT IT DOES:
+   * For every event with expired holds:
+   * 1. LOCK the event
+   * 2. Mark each expired hold 'cancelled' and give its tickets back
+   * 3. Offer the freed tickets to waiting users (same as cancelBooking)
+   * 4. UNLOCK event
+   *
+   * INPUT:
+   * - now: cut-off time (default: current time)
+   *
+   * OUTPUT:
+   * - Number of holds released
+   */
+  async releaseExpiredHolds(now = new Date()) {
+    try {
+      return await this._releaseExpiredBookings("held", now);
+    } catch (error) {
+      logger.error(`Error releasing expired holds: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * RELEASE EXPIRED OFFERS (called by the hold sweeper job)
+   *
+   * WHAT IT DOES:
+   * Same as releaseExpiredHolds, for waitlist offers nobody accepted:
+   * the booking is cancelled, the waiting list entry becomes 'expired'
+   * and the tickets roll over to the next person in position order.
+   *
+   * OUTPUT:
+   * - Number of offers released
+   */
+  async releaseExpiredOffers(now = new Date()) {
+    try {
+      return await this._releaseExpiredBookings("offered", now);
+    } catch (error) {
+      logger.error(`Error releasing expired offers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * GET EVENT STATUS
+   *
+   * WHAT IT DOES:
+   * Returns current state of event:
+   * - Available tickets count
+   * - Waiting list count
+   * - Total bookings
+   * - Sales window, with a countdown (in seconds) to when it opens/closes
+   * - Presale window and how many presale tickets are gone (null if none)
+   * - Revenue: what was paid and not refunded, in the event currency (so
+   *   the share a refund policy keeps of a cancellation still counts)
+   * - Per-tier breakdown (empty for events without tiers)
+   *
+   * INPUT:
+   * - eventId: Which event?
+   *
+   * OUTPUT:
+   * - Event with aggregated counts
+   */
+  async getEventStatus(eventId) {
+    try {
+      if (!eventId) {
+        throw new Error("Event ID is required");
+      }
+
+      // Raw dates needed for the sales countdown
+      const event = await Event.findByPk(eventId, { hooks: false });
+      if (!event) {
+        throw new Error("Event not found");
+      }
+
+      // Count waiting people
+      const waitingCount = await WaitingList.count({
+        where: { eventId, status: "waiting" },
+      });
+
+      // Count confirmed tickets (a booking can hold several)
+      const confirmedCount =
+        (await Booking.sum("quantity", {
+          where: { eventId, status: "confirmed" },
+        })) || 0;
+
+      // Count tickets reserved by in-progress checkouts
+      const heldCount =
+        (await Booking.sum("quantity", {
+          where: { eventId, status: "held" },
+        })) || 0;
+
+      // Count tickets offered to waiting users but not yet accepted
+      const offeredCount =
+        (await Booking.sum("quantity", {
+          where: { eventId, status: "offered" },
+        })) || 0;
+
+      const revenueByTier = await this._getRevenueByTier(eventId);
+      const revenue = [...revenueByTier.values()].reduce(
+        (sum, cents) => sum + cents,
+        0
+      );
+
+      return {
+        eventId: event.id,
+        eventName: event.name,
+        status: event.status,
+        totalTickets: event.totalTickets,
+        availableTickets: event.availableTickets,
+        bookedTickets: confirmedCount,
+        heldTickets: heldCount,
+        offeredTickets: offeredCount,
+        waitingListCount: waitingCount,
+        price: event.price,
+        currency: event.currency,
+        revenue: formatAmount(revenue),
+        tiers: await this._getTierBreakdown(eventId, revenueByTier),
+        sales: this._getSalesWindow(event),
+        presale: await this._getPresaleWindow(event),
+        timestamp: formatDateReadable(new Date()),
+      };
+    } catch (error) {
+      logger.error(`Error getting event status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * GET A USER'S WAITING LIST POSITION
+   *
+   * WHY:
+   * Stored positions are never renumbered (people ahead get offers, leave
+   * or expire and leave gaps), so position 7 may really be 2nd in line
+   *
+   * OUTPUT:
+   * - rank: where the user actually stands (1 = next in line)
+   * - peopleAhead: 'waiting' entries with a lower position (in the same
+   *   ticket tier: each tier has its own queue)
+   * - position: the position they were given when they joined
+   * - joinedAt: when they joined
+   */
+  async getWaitingListPosition(eventId, userId) {
+    try {
+      if (!eventId || !userId) {
+        throw new Error("Event ID and User ID are required");
+      }
+
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        throw new Error("Event not found");
+      }
+
+      const entry = await WaitingList.findOne({
+        where: { eventId, userId, status: "waiting" },
+      });
+      if (!entry) {
+        throw new Error("User is not on the waiting list");
+      }
+
+      const peopleAhead = await WaitingList.count({
+        where: {
+          eventId,
+          tierId: entry.tierId,
+          status: "waiting",
+          position: { [Op.lt]: entry.position },
+        },
+      });
+
+      return {
+        eventId,
+        userId,
+        tierId: entry.tierId,
+        rank: peopleAhead + 1,
+        peopleAhead,
+        position: entry.position,
+        quantity: entry.quantity,
+        joinedAt: entry.timestamp,
+      };
+    } catch (error) {
+      logger.error(`Error getting waiting list position: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * HELPER: Validate a requested ticket quantity
+   * Throws if it isn't a positive integer within the per-user maximum
+   */
+  _validateQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error("Quantity must be a positive integer");
+    }
+    if (quantity > MAX_TICKETS_PER_USER) {
+      throw new Error(
+        `Cannot book more than ${MAX_TICKETS_PER_USER} tickets per event`
+      );
+    }
+  }
+
+  /**
+   * HELPER: Make sure the user has no live booking for the event
+   * (confirmed, waiting or held). Must be called under the event lock
+   */
+  async _assertNoActiveBooking(eventId, userId, transaction) {
+    const existingBooking = await Booking.findOne({
+      where: { eventId, userId, status: { [Op.ne]: "cancelled" } },
+      attributes: ["id", "status"],
+      transaction,
+    });
+
+    if (existingBooking) {
+      throw new Error("User already has active booking for this event");
+    }
+  }
+
+  /**
+   * HELPER: Find the ticket tier a request is for
+   *
+   * - Event without tiers: tierId must be left out → returns null
+   * - Event with tiers: tierId is required and must belong to the event
+   *
+   * Must be called under the event lock (the tier row is then protected
+   * by the same lock, so its counters can't change under us)
+   */
+  async _findTier(event, tierId, transaction) {
+    if (!tierId) {
+      const tierCount = await TicketTier.count({
+        where: { eventId: event.id },
+        transaction,
+      });
+      if (tierCount > 0) {
+        throw new Error("A ticket tier is required for this event");
+      }
+      return null;
+    }
+
+    const tier = await TicketTier.findOne({
+      where: { id: tierId, eventId: event.id },
+      transaction,
+    });
+    if (!tier) {
+      throw new Error("Ticket tier not found");
+    }
+    return tier;
+  }
+
+  /**
+   * HELPER: Find the seats a request is for
+   *
+   * - Event without a seat map: seatIds must be left out → returns null
+   * - Seated event, seatIds given: every seat must be in the event's venue
+   *   and free
+   * - Seated event, no seatIds: the best `quantity` free seats together
+   *
+   * Must be called under the event lock. Returns the seats in seat map
+   * order (row, then number)
+   */
+  async _findSeats(event, seatIds, quantity, transaction) {
+    if (!event.venueId) {
+      if (seatIds) {
+        throw new Error("This event has no seat map");
+      }
+      return null;
+    }
+    if (!seatIds || seatIds.length === 0) {
+      return this._allocateBestSeats(event, quantity, transaction);
+    }
+    if (new Set(seatIds).size !== seatIds.length) {
+      throw new Error("The same seat was requested twice");
+    }
+
+    const sections = await Section.findAll({
+      where: { venueId: event.venueId },
+      attributes: ["id"],
+      transaction,
+    });
+    const seats = await Seat.findAll({
+      where: { id: seatIds, sectionId: sections.map((section) => section.id) },
+      order: [
+        ["rowIndex", "ASC"],
+        ["number", "ASC"],
+      ],
+      transaction,
+    });
+    if (seats.length !== seatIds.length) {
+      throw new Error("Seat not found in this event's seat map");
+    }
+
+    const taken = await BookingSeat.findAll({
+      where: { eventId: event.id, seatId: seatIds },
+      attributes: ["seatId"],
+      transaction,
+    });
+    if (taken.length > 0) {
+      const takenIds = taken.map((row) => row.seatId);
+      const labels = seats
+        .filter((seat) => takenIds.includes(seat.id))
+        .map(this._seatLabel);
+      throw new Error(`Seats not available: ${labels.join(", ")}`);
+    }
+
+    return seats;
+  }
+
+  /**
+   * HELPER: Pick the best available block of `quantity` seats together
+   * Must be called under the event lock, so the block can't be taken
+   * between choosing it and claiming it
+   */
+  async _allocateBestSeats(event, quantity, transaction) {
+    const sections = await Section.findAll({
+      where: { venueId: event.venueId },
+      attributes: ["id", "name", "priority"],
+      transaction,
+    });
+    const seats = await Seat.findAll({
+      where: { sectionId: sections.map((section) => section.id) },
+      transaction,
+    });
+    const taken = await BookingSeat.findAll({
+      where: { eventId: event.id },
+      attributes: ["seatId"],
+      transaction,
+    });
+
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: taken.map((row) => row.seatId),
+      quantity,
+    });
+    if (!block) {
+      throw new Error(`No ${quantity} seats available together`);
+    }
+    return block;
+  }
+
+  /**
+   * HELPER: Record that a booking now holds these seats
+   * (the unique (eventId, seatId) index refuses double bookings)
+   */
+  async _claimSeats(booking, seats, transaction) {
+    await BookingSeat.bulkCreate(
+      seats.map((seat) => ({
+        eventId: booking.eventId,
+        seatId: seat.id,
+        bookingId: booking.id,
+      })),
+      { transaction }
+    );
+  }
+
+  /**
+   * HELPER: Free a booking's seats (no-op for unseated bookings)
+   */
+  async _releaseSeats(booking, transaction) {
+    await BookingSeat.destroy({
+      where: { bookingId: booking.id },
+      transaction,
+    });
+  }
+
+  /**
+   * HELPER: Seat label as printed on a ticket, e.g. "C12"
+   */
+  _seatLabel(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  /**
+   * HELPER: Format a booking together with its seats
+   */
+  _formatSeatedBooking(booking, seats) {
+    return {
+      ...this.formatResponse(booking),
+      seats: seats.map((seat) => ({
+        seatId: seat.id,
+        sectionId: seat.sectionId,
+        row: seat.row,
+        number: seat.number,
+        label: this._seatLabel(seat),
+      })),
+    };
+  }
+
+  /**
+   * HELPER: Price fields to store on a booking as it is confirmed
+   * Unit price from the tier (or the event, if untiered), total in cents
+   * so it never picks up float rounding. A promo code comes off the total
+   * (discountAmount), so payments and refunds use what is actually paid
+   */
+  _priceSnapshot(event, tier, quantity, promoCode = null) {
+    const unitCents = toCents((tier || event).price);
+    const subtotalCents = unitCents * quantity;
+    const discount = promoCode ? discountCents(promoCode, subtotalCents) : 0;
+    return {
+      unitPrice: formatAmount(unitCents),
+      totalPrice: formatAmount(subtotalCents - discount),
+      discountAmount: promoCode ? formatAmount(discount) : null,
+      currency: event.currency,
+    };
+  }
+
+  /**
+   * HELPER: _priceSnapshot for an existing booking (hold or offer),
+   * with the promo code it kept from the waiting list
+   */
+  async _priceSnapshotFor(event, booking, transaction) {
+    const tier = booking.tierId
+      ? await TicketTier.findByPk(booking.tierId, { transaction })
+      : null;
+    const promoCode = booking.promoCodeId
+      ? await PromoCode.findByPk(booking.promoCodeId, { transaction })
+      : null;
+    return this._priceSnapshot(event, tier, booking.quantity, promoCode);
+  }
+
+  /**
+   * HELPER: Status and price for a new booking that gets tickets now
+   * Free tickets are confirmed straight away. Paid ones are 'held' (so
+   * the sweeper frees them if the payment never finishes) until
+   * _collectPayment has captured the money
+   */
+  _confirmedOrAwaitingPayment(
+    event,
+    tier,
+    quantity,
+    paymentMethod,
+    promoCode = null
+  ) {
+    const price = this._priceSnapshot(event, tier, quantity, promoCode);
+    if (toCents(price.totalPrice) === 0) {
+      return { status: "confirmed", ...price };
+    }
+
+    this._assertPaymentMethod(paymentMethod);
+    return {
+      status: "held",
+      expiresAt: new Date(Date.now() + HOLD_DURATION_MS),
+      ...price,
+    };
+  }
+
+  /**
+   * HELPER: Confirm a hold or offer, or start paying for it
+   * Free: confirmed on the spot, returns null.
+   * Paid: priced and left as it is, returns the 'pending' Payment for
+   * _collectPayment
+   */
+  async _priceForConfirmation(event, booking, paymentMethod, transaction) {
+    const price = await this._priceSnapshotFor(event, booking, transaction);
+    if (toCents(price.totalPrice) > 0) {
+      this._assertPaymentMethod(paymentMethod);
+      await booking.update(price, { transaction });
+      return paymentService.createPayment(booking, transaction);
+    }
+
+    await this._confirmBooking(booking, price, transaction);
+    return null;
+  }
+
+  /**
+   * HELPER: Turn a hold or offer into a confirmed booking
+   * (an accepted offer's waiting list entry becomes 'assigned')
+   */
+  async _confirmBooking(booking, fields, transaction) {
+    const wasOffered = booking.status === "offered";
+    await booking.update(
+      { status: "confirmed", expiresAt: null, ...fields },
+      { transaction }
+    );
+    if (wasOffered) {
+      await WaitingList.update(
+        { status: "assigned" },
+        {
+          where: {
+            eventId: booking.eventId,
+            userId: booking.userId,
+            status: "offered",
+          },
+          transaction,
+        }
+      );
+    }
+  }
+
+  /**
+   * HELPER: The 'pending' Payment for a booking still waiting to be paid
+   * (null for bookings that were confirmed for free)
+   */
+  async _startPayment(booking, transaction) {
+    if (booking.status !== "held") return null;
+    return paymentService.createPayment(booking, transaction);
+  }
+
+  /**
+   * HELPER: Paid tickets need something to charge
+   */
+  _assertPaymentMethod(paymentMethod) {
+    if (!paymentMethod) {
+      throw new Error("A payment method is required for paid tickets");
+    }
+  }
+
+  /**
+   * HELPER: Charge a payment, then confirm or release its booking
+   *
+   * Runs OUTSIDE the event lock (the provider may take seconds) and locks
+   * the event again for the outcome:
+   * - captured, booking still held/offered → booking 'confirmed'
+   * - captured, but the booking expired or was cancelled meanwhile →
+   *   the payment is refunded through a 'booking_expired' Refund (once:
+   *   not if the sweeper or a cancellation already refunded it)
+   * - declined or failed → the hold is cancelled (an offer is declined),
+   *   tickets and seats go back and are offered to the waiting list
+   * - captured, but confirming it failed (e.g. the lock timed out) →
+   *   the payment is refunded and the error is rethrown
+   *
+   * INPUT:
+   * - payment: the 'pending' Payment
+   * - paymentMethod: the client's payment method token
+   * - pending: the formatted booking so far (its seats are kept)
+   *
+   * OUTPUT:
+   * - The confirmed booking
+   *
+   * THROWS Error if the payment didn't go through
+   */
+  async _collectPayment(eventId, payment, paymentMethod, pending) {
+    await paymentService.charge(payment, paymentMethod);
+    const captured = payment.status === "captured";
+
+    let outcome;
+    try {
+      outcome = await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          const booking = await Booking.findByPk(payment.bookingId, {
+            transaction,
+          });
+          if (!["held", "offered"].includes(booking.status)) {
+            // Expired or cancelled meanwhile: whatever was captured goes
+            // back through a Refund, unless whoever released the booking
+            // already recorded one for this payment
+            const alreadyRefunded = await Refund.count({
+              where: { paymentId: payment.id },
+              transaction,
+            });
+            if (!captured || alreadyRefunded > 0) {
+              return { booking: null, refund: null };
+            }
+            const refund = await this._createRefund(
+              event,
+              booking,
+              booking.quantity,
+              "booking_expired",
+              transaction
+            );
+            return { booking: null, refund };
+          }
+
+          if (captured) {
+            // Priced when the payment started: that's what was charged
+            await this._confirmBooking(booking, {}, transaction);
+            return { booking };
+          }
+
+          if (booking.status === "offered") {
+            await this._withdrawOffer(event, booking, "declined", transaction);
+          } else {
+            await this._releaseHold(event, booking, transaction);
+          }
+          await this._promoteWaitingUsers(event, transaction, booking.tierId);
+          return { booking: null };
+        }
+      );
+    } catch (error) {
+      // The money was taken but the booking couldn't be confirmed: give it
+      // back now. If even that fails the booking stays held with a captured
+      // payment, and the sweeper refunds it when the hold expires
+      if (captured) {
+        await this._refundUnconfirmed(payment).catch((refundError) =>
+          logger.error(
+            `Refund after failed confirmation failed: Payment ${payment.id}: ${refundError.message}`
+          )
+        );
+      }
+      throw error;
+    }
+
+    if (!captured) {
+      throw new Error(`Payment failed: ${payment.failureReason}`);
+    }
+    const { booking } = outcome;
+    if (!booking) {
+      const refund = await this._processRefund(outcome.refund);
+      if (refund?.status === "failed") {
+        throw new Error(
+          `Booking expired before the payment went through, refunding the payment failed: ${refund.failureReason}`
+        );
+      }
+      throw new Error(
+        "Booking expired before the payment went through, the payment was refunded"
+      );
+    }
+
+    logger.info(
+      `Paid booking confirmed: User ${booking.userId}, Event ${eventId}`
+    );
+    return { ...pending, ...this.formatResponse(booking) };
+  }
+
+  /**
+   * HELPER: Give back a payment captured for a booking that couldn't be
+   * confirmed, when the event lock couldn't be had
+   * Re-reads the payment first: the sweeper or a cancellation may have
+   * refunded it already (they record a Refund), and it must not be
+   * refunded twice
+   */
+  async _refundUnconfirmed(payment) {
+    const current = await Payment.findByPk(payment.id);
+    const refunds = await Refund.count({ where: { paymentId: payment.id } });
+    if (current.status !== "captured" || refunds > 0) return;
+    await paymentService.refund(current);
+  }
+
+  /**
+   * HELPER: Take tickets out of availableTickets
+   * Always the event's counter, plus the tier's when there is one
+   */
+  async _reserveTickets(event, tier, quantity, transaction) {
+    await event.decrement("availableTickets", { by: quantity, transaction });
+    if (tier) {
+      await tier.decrement("availableTickets", { by: quantity, transaction });
+    }
+  }
+
+  /**
+   * HELPER: Give tickets back to availableTickets
+   * (the event's counter, plus the tier's when tierId is set)
+   */
+  async _releaseTickets(event, tierId, quantity, transaction) {
+    await event.increment("availableTickets", { by: quantity, transaction });
+    if (tierId) {
+      await TicketTier.increment("availableTickets", {
+        by: quantity,
+        where: { id: tierId },
+        transaction,
+      });
+    }
+  }
+
+  /**
+   * HELPER: Run work while holding the event's row lock
+   *
+   * Opens a transaction, sets a lock timeout and locks the events row with
+   * SELECT ... FOR UPDATE. Any other process touching the same event waits
+   * here until we COMMIT (or ROLLBACK if work throws).
+   *
+   * work(event, transaction) MUST pass `transaction` to every query,
+   * otherwise the query runs outside the lock on another connection
+   *
+   * Once work is done the event flips between 'on_sale' and 'sold_out'
+   * to match availableTickets (see _syncSoldOut)
+   */
+  async _withEventLock(eventId, work) {
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query(`SET LOCAL lock_timeout = ${LOCK_TIMEOUT_MS}`, {
+        transaction,
+      });
+
+      // hooks: false keeps dates as Date objects (afterFind formats them
+      // for display), so work can compare them, e.g. the sales window
+      const event = await Event.findByPk(eventId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+        hooks: false,
+      });
+      if (!event) {
+        throw new Error("Event not found");
+      }
+
+      const result = await work(event, transaction);
+      await this._syncSoldOut(event, transaction);
+      return result;
+    });
+  }
+
+  /**
+   * HELPER: Keep 'on_sale' / 'sold_out' in step with availableTickets
+   * Other statuses (draft, closed, cancelled) are left alone
+   */
+  async _syncSoldOut(event, transaction) {
+    if (!BOOKABLE_STATUSES.includes(event.status)) return;
+
+    const status = event.availableTickets > 0 ? "on_sale" : "sold_out";
+    if (status !== event.status) {
+      await event.update({ status }, { transaction });
+    }
+  }
+
+  /**
+   * HELPER: Availability of each ticket tier for the status endpoint
+   *
+   * OUTPUT (one entry per tier, cheapest first):
+   * - tierId, name, price, totalTickets, availableTickets
+   * - bookedTickets, heldTickets, offeredTickets: tickets by booking status
+   * - waitingListCount: people in this tier's queue
+   * - revenue: what was paid for the tier's tickets and not refunded
+   *   (from _getRevenueByTier)
+   */
+  async _getTierBreakdown(eventId, revenueByTier) {
+    const tiers = await TicketTier.findAll({
+      where: { eventId },
+      order: [
+        ["price", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+    if (tiers.length === 0) {
+      return [];
+    }
+
+    const ticketRows = await Booking.findAll({
+      attributes: [
+        "tierId",
+        "status",
+        [sequelize.fn("SUM", sequelize.col("quantity")), "tickets"],
+      ],
+      where: { eventId, status: ["confirmed", "held", "offered"] },
+      group: ["tierId", "status"],
+      raw: true,
+    });
+    const waitingRows = await WaitingList.findAll({
+      attributes: ["tierId", [sequelize.fn("COUNT", "*"), "count"]],
+      where: { eventId, status: "waiting" },
+      group: ["tierId"],
+      raw: true,
+    });
+
+    const rowFor = (tierId, status) =>
+      ticketRows.find((row) => row.tierId === tierId && row.status === status);
+    const ticketsFor = (tierId, status) =>
+      Number(rowFor(tierId, status)?.tickets || 0);
+
+    return tiers.map((tier) => ({
+      tierId: tier.id,
+      name: tier.name,
+      price: tier.price,
+      totalTickets: tier.totalTickets,
+      availableTickets: tier.availableTickets,
+      bookedTickets: ticketsFor(tier.id, "confirmed"),
+      heldTickets: ticketsFor(tier.id, "held"),
+      offeredTickets: ticketsFor(tier.id, "offered"),
+      waitingListCount: Number(
+        waitingRows.find((row) => row.tierId === tier.id)?.count || 0
+      ),
+      revenue: formatAmount(revenueByTier.get(tier.id) || 0),
+    }));
+  }
+
+  /**
+   * HELPER: Money the event's bookings brought in, in cents per tierId
+   * (null for untiered bookings)
+   *
+   * Counts captured payments minus what was refunded, whatever became of
+   * the booking: a cancellation the refund policy refunds only in part
+   * (or not at all) keeps the rest as revenue
+   */
+  async _getRevenueByTier(eventId) {
+    const rows = await sequelize.query(
+      `SELECT b."tierId", SUM(p.amount - p."refundedAmount") AS revenue
+         FROM payments p
+         JOIN bookings b ON b.id = p."bookingId"
+        WHERE b."eventId" = :eventId
+          AND p.status IN ('captured', 'refunded')
+        GROUP BY b."tierId"`,
+      { replacements: { eventId }, type: QueryTypes.SELECT }
+    );
+    return new Map(rows.map((row) => [row.tierId, toCents(row.revenue)]));
+  }
+
+  /**
+   * HELPER: Describe the event's sales window for the status endpoint
+   *
+   * OUTPUT:
+   * - state: 'not_open' | 'open' | 'closed' (time window only; see
+   *   the event status for draft/closed/cancelled)
+   * - opensAt/closesAt: window bounds in the event timezone (or null)
+   * - opensInSeconds: countdown to opening (null once open)
+   * - closesInSeconds: countdown to closing (null if no end or closed)
+   */
+  _getSalesWindow(event, now = new Date()) {
+    const opensAt = event.salesStartAt ? new Date(event.salesStartAt) : null;
+    const closesAt = event.salesEndAt ? new Date(event.salesEndAt) : null;
+    const secondsUntil = (date) =>
+      date && now < date ? Math.ceil((date - now) / 1000) : null;
+
+    let state = "open";
+    if (opensAt && now < opensAt) state = "not_open";
+    if (closesAt && now >= closesAt) state = "closed";
+
+    return {
+      state,
+      opensAt: formatDateReadable(opensAt, event.timezone),
+      closesAt: formatDateReadable(closesAt, event.timezone),
+      opensInSeconds: secondsUntil(opensAt),
+      closesInSeconds: secondsUntil(closesAt),
+    };
+  }
+
+  /**
+   * HELPER: Throw unless the event accepts bookings
+   * (bookable status AND inside the sales window, if one is set)
+   */
+  _assertOnSale(event, now = new Date()) {
+    if (!BOOKABLE_STATUSES.includes(event.status)) {
+      throw new Error(`Event is not on sale (status: ${event.status})`);
+    }
+    if (event.salesStartAt && now < new Date(event.salesStartAt)) {
+      throw new Error("Sales not open yet");
+    }
+    if (event.salesEndAt && now >= new Date(event.salesEndAt)) {
+      throw new Error("Sales closed");
+    }
+  }
+
+  /**
+   * HELPER: Is the event bookable and inside its presale window?
+   * (the window ends at presaleEndAt, or when general sale opens)
+   */
+  _inPresale(event, now = new Date()) {
+    if (!BOOKABLE_STATUSES.includes(event.status) || !event.presaleStartAt) {
+      return false;
+    }
+    const closesAt = new Date(event.presaleEndAt || event.salesStartAt);
+    return now >= new Date(event.presaleStartAt) && now < closesAt;
+  }
+
+  /**
+   * HELPER: Throw unless the user may buy `quantity` presale tickets
+   * Users on presaleUserIds get in without a code. The cap counts every
+   * presale booking that still holds tickets, so cancelled ones free
+   * their share
+   */
+  async _assertPresaleAccess(event, userId, accessCode, quantity, transaction) {
+    const invited = (event.presaleUserIds || []).includes(userId);
+    if (!invited) {
+      if (!accessCode) {
+        throw new Error("Presale in progress: an access code is required");
+      }
+      if (!(event.presaleAccessCodes || []).includes(accessCode)) {
+        throw new Error("Invalid presale access code");
+      }
+    }
+
+    // Presales set up before the cap existed have none
+    if (event.presaleCapacity === null) return;
+
+    const presaleTickets = await this._countPresaleTickets(
+      event.id,
+      transaction
+    );
+    const left = Math.max(event.presaleCapacity - presaleTickets, 0);
+    if (quantity > left) {
+      throw new Error(`Only ${left} presale tickets left`);
+    }
+  }
+
+  /**
+   * HELPER: Tickets held by presale bookings
+   */
+  async _countPresaleTickets(eventId, transaction) {
+    return (
+      (await Booking.sum("quantity", {
+        where: { eventId, presale: true, status: TICKET_HOLDING_STATUSES },
+        transaction,
+      })) || 0
+    );
+  }
+
+  /**
+   * HELPER: Describe the event's presale for the status endpoint
+   *
+   * OUTPUT (null without a presale):
+   * - state: 'not_open' | 'open' | 'closed'
+   * - opensAt/closesAt: window bounds in the event timezone
+   * - capacity: presale cap (null = none)
+   * - soldTickets: tickets held by presale bookings
+   */
+  async _getPresaleWindow(event, now = new Date()) {
+    if (!event.presaleStartAt) return null;
+
+    const opensAt = new Date(event.presaleStartAt);
+    const closesAt = new Date(event.presaleEndAt || event.salesStartAt);
+    let state = "open";
+    if (now < opensAt) state = "not_open";
+    if (now >= closesAt) state = "closed";
+
+    return {
+      state,
+      opensAt: formatDateReadable(opensAt, event.timezone),
+      closesAt: formatDateReadable(closesAt, event.timezone),
+      capacity: event.presaleCapacity,
+      soldTickets: await this._countPresaleTickets(event.id),
+    };
+  }
+
+  /**
+   * HELPER: Run work in a transaction
+   * Joins the caller's transaction if one is passed, otherwise opens a
+   * managed one (COMMIT on success, ROLLBACK if work throws)
+   */
+  async _runInTransaction(transaction, work) {
+    if (transaction) {
+      return work(transaction);
+    }
+    return sequelize.transaction(work);
+  }
+
+  /**
+   * HELPER: Get next waiting list position
+   * Used when adding new person to waiting list
+   * Must be called while holding the event lock
+   *
+   * Looks at ALL entries (not just 'waiting'): assigned entries keep their
+   * position, so reusing it would break the unique (eventId, position) index
+   */
+  async _getNextWaitingPosition(eventId, transaction) {
+    const lastWaiting = await WaitingList.findOne({
+      where: { eventId },
+      order: [["position", "DESC"]],
+      attributes: ["position"],
+      transaction,
+    });
+
+    return lastWaiting ? lastWaiting.position + 1 : 1;
+  }
+
+  /**
+   * HELPER: Release every expired booking with the given status
+   *
+   * Used by the sweeper for 'held' and 'offered' bookings. Each event gets
+   * its own transaction, so one busy event can't block the sweep of all
+   * the others. A captured payment on an expired booking is refunded in
+   * full. Returns how many bookings were released.
+   */
+  async _releaseExpiredBookings(status, now) {
+    const expiredWhere = { status, expiresAt: { [Op.lte]: now } };
+
+    const events = await Booking.findAll({
+      where: expiredWhere,
+      attributes: ["eventId"],
+      group: ["eventId"],
+      raw: true,
+    });
+
+    let released = 0;
+    const refunds = [];
+
+    for (const { eventId } of events) {
+      released += await this._withEventLock(
+        eventId,
+        async (event, transaction) => {
+          // Re-read under the lock: it may have been confirmed since
+          const bookings = await Booking.findAll({
+            where: { eventId, ...expiredWhere },
+            transaction,
+          });
+
+          for (const booking of bookings) {
+            const refund =
+              status === "offered"
+                ? await this._withdrawOffer(
+                    event,
+                    booking,
+                    "expired",
+                    transaction
+                  )
+                : await this._releaseHold(event, booking, transaction);
+            if (refund) refunds.push(refund);
+            logger.info(
+              `Expired ${status} booking released: User ${booking.userId}, Event ${eventId}, Released: ${booking.quantity}`
+            );
+          }
+
+          // Each tier's freed tickets go to that tier's waiting list
+          const tierIds = new Set(bookings.map((booking) => booking.tierId));
+          for (const tierId of tierIds) {
+            await this._promoteWaitingUsers(event, transaction, tierId);
+          }
+          return bookings.length;
+        }
+      );
+    }
+
+    // Payments captured for bookings that never got confirmed (e.g. the
+    // confirmation failed after the charge) go back once the locks are off
+    for (const refund of refunds) {
+      await this._processRefund(refund);
+    }
+
+    return released;
+  }
+
+  /**
+   * HELPER: Record what a user gets back for `quantity` cancelled tickets
+   *
+   * Only bookings with a captured payment get a Refund (free tickets and
+   * unpaid holds and offers have nothing to give back). The cancelled
+   * tickets' share of what was paid is refunded at the policy's
+   * percentage. It's refunded in full when the whole event is cancelled,
+   * or when the booking was never confirmed (a hold or offer that was
+   * charged but expired or was cancelled before confirming)
+   *
+   * OUTPUT:
+   * - The Refund ('pending', or 'not_refundable' if it comes to 0), or null
+   */
+  async _createRefund(event, booking, quantity, reason, transaction) {
+    const payment = await Payment.findOne({
+      where: { bookingId: booking.id, status: "captured" },
+      transaction,
+    });
+    if (!payment) return null;
+
+    const percent =
+      reason === "booking_cancelled" && booking.status === "confirmed"
+        ? refundPercent(event.refundPolicy, event.startsAt)
+        : 100;
+    const paidCents = Math.round(
+      (toCents(booking.totalPrice) * quantity) / booking.quantity
+    );
+    const amountCents = Math.round((paidCents * percent) / 100);
+
+    return Refund.create(
+      {
+        bookingId: booking.id,
+        paymentId: payment.id,
+        reason,
+        quantity,
+        percent,
+        amount: formatAmount(amountCents),
+        currency: payment.currency,
+        status: amountCents > 0 ? "pending" : "not_refundable",
+      },
+      { transaction }
+    );
+  }
+
+  /**
+   * HELPER: Send a 'pending' Refund to the payment provider
+   * Call it AFTER the cancellation commits. A refusal marks the refund
+   * 'failed' instead of throwing: the tickets are already back on sale,
+   * and the record says what is still owed
+   */
+  async _processRefund(refund) {
+    if (!refund || refund.status !== "pending") return refund;
+
+    try {
+      const payment = await Payment.findByPk(refund.paymentId);
+      await paymentService.refund(payment, refund.amount);
+      await refund.update({ status: "refunded" });
+    } catch (error) {
+      await refund.update({ status: "failed", failureReason: error.message });
+    }
+    return refund;
+  }
+
+  /**
+   * HELPER: Cancel a held booking and give its tickets, seats and promo
+   * code use back
+   * Does NOT offer them onward - callers do that once they're done.
+   * Returns the Refund for a payment already captured for the hold (null
+   * if nothing was paid) - _processRefund it after the commit.
+   */
+  async _releaseHold(event, hold, transaction) {
+    const refund = await this._createRefund(
+      event,
+      hold,
+      hold.quantity,
+      "booking_expired",
+      transaction
+    );
+    await hold.update({ status: "cancelled" }, { transaction });
+    await promoCodeService.release(hold, transaction);
+    await this._releaseSeats(hold, transaction);
+    await this._releaseTickets(event, hold.tierId, hold.quantity, transaction);
+    return refund;
+  }
+
+  /**
+   * HELPER: Take back an offer (declined or expired)
+   * Cancels the offered booking, closes its waiting list entry with
+   * waitingListStatus and returns the reserved tickets to the event
+   * (and its tier). Its promo code, if any, can be used again.
+   * Does NOT offer them onward - callers do that once they're done.
+   * Returns the Refund for a payment already captured for the offer, like
+   * _releaseHold.
+   */
+  async _withdrawOffer(event, offer, waitingListStatus, transaction) {
+    const refund = await this._createRefund(
+      event,
+      offer,
+      offer.quantity,
+      "booking_expired",
+      transaction
+    );
+    await offer.update(
+      { status: "cancelled", expiresAt: null },
+      { transaction }
+    );
+    await promoCodeService.release(offer, transaction);
+    await WaitingList.update(
+      { status: waitingListStatus },
+      {
+        where: { eventId: event.id, userId: offer.userId, status: "offered" },
+        transaction,
+      }
+    );
+    await this._releaseTickets(
+      event,
+      offer.tierId,
+      offer.quantity,
+      transaction
+    );
+    return refund;
+  }
+
+  /**
+   * HELPER: Offer freed tickets to waiting users
+   *
+   * Walks the waiting list in position order and OFFERS tickets to every
+   * request whose FULL quantity fits in the available tickets
+   * (all-or-nothing, so a request for 4 is skipped - not split - when only
+   * 2 are free and the next smaller request behind it gets them instead).
+   * Offered tickets are reserved (taken out of availableTickets) until
+   * the user accepts, declines or lets the deadline pass.
+   *
+   * INPUT:
+   * - event: the locked event row (increment/decrement refresh its
+   *   availableTickets via RETURNING, so it is always current here)
+   * - transaction: the caller's event lock transaction
+   * - tierId: whose tickets were freed; only that tier's waiting list is
+   *   offered them (null for events without tiers)
+   *
+   * OUTPUT:
+   * - Array of offered bookings (formatted), in promotion order
+   */
+  async _promoteWaitingUsers(event, transaction, tierId = null) {
+    const assigned = [];
+
+    const tier = tierId
+      ? await TicketTier.findByPk(tierId, { transaction })
+      : null;
+    const pool = tier || event;
+
+    if (pool.availableTickets <= 0) {
+      return assigned;
+    }
+
+    const waitingEntries = await WaitingList.findAll({
+      where: { eventId: event.id, tierId, status: "waiting" },
+      order: [["position", "ASC"]],
+      transaction,
+    });
+
+    for (const entry of waitingEntries) {
+      if (pool.availableTickets <= 0) break;
+      if (entry.quantity > pool.availableTickets) continue;
+
+      // OFFER: Reserve the tickets for the waiting user
+      const booking = await this._offerTicketToWaitingUser(
+        event.id,
+        entry.userId,
+        transaction
+      );
+      // Decrement available tickets since the offer reserves them
+      await this._reserveTickets(event, tier, entry.quantity, transaction);
+
+      assigned.push(this.formatResponse(booking));
+    }
+
+    return assigned;
+  }
+
+  /**
+   * HELPER: Offer a ticket to a waiting user
+   * Called when tickets free up and someone is waiting
+   * Both updates (WaitingList + Booking) commit or roll back together
+   */
+  async _offerTicketToWaitingUser(eventId, userId, transaction) {
+    try {
+      return await this._runInTransaction(transaction, async (t) => {
+        // Update waiting list entry to offered
+        await WaitingList.update(
+          { status: "offered" },
+          { where: { eventId, userId, status: "waiting" }, transaction: t }
+        );
+
+        // Update booking to offered, with an acceptance deadline
+        const booking = await Booking.findOne({
+          where: { eventId, userId, status: "waiting" },
+          transaction: t,
+        });
+
+        if (booking) {
+          await booking.update(
+            {
+              status: "offered",
+              expiresAt: new Date(Date.now() + OFFER_WINDOW_MS),
+            },
+            { transaction: t }
+          );
+          logger.info(
+            `Offered ticket to waiting user: User ${userId}, Event ${eventId}`
+          );
+        }
+
+        // NOTE: We DON'T renumber positions to avoid UNIQUE constraint violations
+        // Gaps in positions are fine - queries use ORDER BY position anyway
+        // The important thing is that positions are unique per event, not sequential
+
+        return booking;
+      });
     } catch (error) {
-      logger.error(`Error assigning waiting user: ${error.message}`);
+      logger.error(`Error offering ticket to waiting user: ${error.message}`);
       throw error;
     }
   }
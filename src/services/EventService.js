@@ -0,0 +1,391 @@
+import { Op } from "sequelize";
+import { Event, Booking, Payment, TicketTier } from "../models/index.js";
+import {
+  EVENT_DETAIL_FIELDS,
+  EVENT_PRESALE_FIELDS,
+  EVENT_PRIVATE_FIELDS,
+  EVENT_TIME_FIELDS,
+  assertValidPresale,
+  assertValidSchedule,
+} from "../models/event.js";
+import { assertValidTier } from "../models/ticketTier.js";
+import { assertValidRefundPolicy } from "../utils/refundPolicy.js";
+import sequelize from "../config/database.js";
+import logger from "../utils/logger.js";
+import { formatDateReadable, isValidTimeZone } from "../utils/dateFormatter.js";
+
+/**
+  EventService - EVENT MANAGEMENT
+
+ WHAT IT DOES:
+  - Lists events (pagination, filtering, sorting)
+  - Fetches, edits (name and details) and deletes single events
+  - Adds ticket tiers to events that are still drafts
+
+  Ticket movement (booking, cancelling, waiting list) stays in BookingService;
+  this service only touches the event row itself
+ */
+
+// Columns GET /events can sort by
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "startsAt",
+  "name",
+  "totalTickets",
+  "availableTickets",
+];
+
+// Bookings that still hold (or are about to hold) tickets
+const ACTIVE_BOOKING_STATUSES = ["confirmed", "held", "offered"];
+
+class EventService {
+  /**
+   * Helper: Format timestamps in an event for the response
+   * (presale access lists are left out, see EVENT_PRIVATE_FIELDS)
+   */
+  formatEvent(event) {
+    if (!event) return event;
+
+    const formatted = { ...(event.dataValues || event) };
+    if (formatted.createdAt) {
+      formatted.createdAt = formatDateReadable(formatted.createdAt);
+    }
+    if (formatted.updatedAt) {
+      formatted.updatedAt = formatDateReadable(formatted.updatedAt);
+    }
+    // Event times are shown in the event's own timezone
+    for (const field of EVENT_TIME_FIELDS) {
+      if (formatted[field]) {
+        formatted[field] = formatDateReadable(
+          formatted[field],
+          formatted.timezone
+        );
+      }
+    }
+    for (const field of EVENT_PRIVATE_FIELDS) {
+      delete formatted[field];
+    }
+    return formatted;
+  }
+
+  /**
+    LIST EVENTS
+
+    INPUT (all optional):
+    - page, limit: pagination (page starts at 1)
+    - name: case-insensitive "contains" match on the event name
+    - ownerId: only events created by this organizer
+    - category: exact category match
+    - status: only events in this lifecycle status
+    - available: true → only events with tickets left, false → only sold out
+    - sortBy: one of SORTABLE_FIELDS (default createdAt)
+    - order: 'asc' or 'desc' (default desc)
+
+    OUTPUT:
+    - events: the requested page
+    - pagination: { page, limit, total, totalPages }
+  */
+  async listEvents({
+    page = 1,
+    limit = 20,
+    name,
+    ownerId,
+    category,
+    status,
+    available,
+    sortBy = "createdAt",
+    order = "desc",
+  } = {}) {
+    try {
+      if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new Error(`Cannot sort events by ${sortBy}`);
+      }
+
+      const where = {};
+      if (name) {
+        where.name = { [Op.iLike]: `%${name}%` };
+      }
+      if (ownerId) {
+        where.ownerId = ownerId;
+      }
+      if (category) {
+        where.category = category;
+      }
+      if (status) {
+        where.status = status;
+      }
+      if (available !== undefined) {
+        where.availableTickets = available ? { [Op.gt]: 0 } : 0;
+      }
+
+      const { rows, count } = await Event.findAndCountAll({
+        where,
+        order: [
+          [sortBy, `${order.toUpperCase()} NULLS LAST`],
+          ["id", "ASC"], // stable order for equal sort values
+        ],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      return {
+        events: rows.map((event) => this.formatEvent(event)),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error listing events: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    GET EVENT
+    THROWS Error if the event doesn't exist
+  */
+  async getEvent(eventId) {
+    try {
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        throw new Error("Event not found");
+      }
+
+      return this.formatEvent(event);
+    } catch (error) {
+      logger.error(`Error getting event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    UPDATE EVENT
+
+    Runs with the event row LOCKED, so no booking can be priced between
+    the currency check and the save
+
+    INPUT:
+    - eventId: Which event?
+    - updates: fields to change (name and/or EVENT_DETAIL_FIELDS)
+
+    OUTPUT:
+    - The updated event
+
+    THROWS Error if the new schedule, presale or refund policy is
+    inconsistent (see assertValidSchedule, assertValidPresale,
+    assertValidRefundPolicy) or the currency changes
+    after tickets were sold (their prices are snapshots in the old currency)
+  */
+  async updateEvent(eventId, updates) {
+    try {
+      const event = await sequelize.transaction(async (transaction) => {
+        // hooks: false keeps raw Date values (afterFind would format them)
+        const event = await Event.findByPk(eventId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+          hooks: false,
+        });
+        if (!event) {
+          throw new Error("Event not found");
+        }
+
+        const { name } = updates;
+        if (name !== undefined) {
+          if (!name || typeof name !== "string") {
+            throw new Error("Event name must be a non-empty string");
+          }
+          event.name = name;
+        }
+
+        for (const field of EVENT_DETAIL_FIELDS) {
+          if (updates[field] !== undefined) {
+            event[field] = updates[field];
+          }
+        }
+
+        if (event.changed("currency")) {
+          const pricedBookings = await Booking.count({
+            where: { eventId, currency: { [Op.ne]: null } },
+            transaction,
+          });
+          if (pricedBookings > 0) {
+            throw new Error("Currency can't change once tickets are sold");
+          }
+        }
+
+        if (!isValidTimeZone(event.timezone)) {
+          throw new Error(`Unknown timezone: ${event.timezone}`);
+        }
+        assertValidSchedule(event);
+        assertValidPresale(event, {
+          requireCapacity: EVENT_PRESALE_FIELDS.some((field) =>
+            event.changed(field)
+          ),
+        });
+        assertValidRefundPolicy(event.refundPolicy);
+
+        await event.save({
+          fields: ["name", ...EVENT_DETAIL_FIELDS],
+          transaction,
+        });
+        return event;
+      });
+
+      logger.info(`Event updated: ${eventId}`);
+      return this.formatEvent(event);
+    } catch (error) {
+      logger.error(`Error updating event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    DELETE EVENT
+
+    LOGIC:
+    1. LOCK the event row (so nobody books while we check)
+    2. Refuse if anyone still has confirmed, held or offered tickets
+    3. Refuse if any booking was ever paid for: payment and refund records
+       are kept (cancel the event instead)
+    4. Delete the event (bookings and waiting list rows cascade)
+
+    THROWS Error if the event doesn't exist, has active bookings or has
+    payments
+  */
+  async deleteEvent(eventId) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const event = await Event.findByPk(eventId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!event) {
+          throw new Error("Event not found");
+        }
+
+        const activeBookings = await Booking.count({
+          where: { eventId, status: ACTIVE_BOOKING_STATUSES },
+          transaction,
+        });
+        if (activeBookings > 0) {
+          throw new Error("Event has active bookings and cannot be deleted");
+        }
+
+        const bookings = await Booking.findAll({
+          where: { eventId },
+          attributes: ["id"],
+          transaction,
+        });
+        const payments = await Payment.count({
+          where: { bookingId: bookings.map((booking) => booking.id) },
+          transaction,
+        });
+        if (payments > 0) {
+          throw new Error("Event has payment records and cannot be deleted");
+        }
+
+        await event.destroy({ transaction });
+      });
+
+      logger.info(`Event deleted: ${eventId}`);
+      return { id: eventId };
+    } catch (error) {
+      logger.error(`Error deleting event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    ADD A TICKET TIER
+
+    LOGIC:
+    1. LOCK the event row (so it can't be published mid-change)
+    2. Refuse unless the event is a draft (nobody can have booked yet)
+    3. Create the tier
+    4. Set the event's totals to the sum over its tiers. The first tier
+       REPLACES the event's untiered tickets: once an event has tiers,
+       every ticket belongs to one
+
+    INPUT:
+    - eventId: Which event?
+    - tier: { name, price, totalTickets }
+
+    OUTPUT:
+    - tier: the new tier
+    - event: the event with its new totals
+
+    THROWS Error if the event isn't a draft or the name is taken
+  */
+  async addTier(eventId, tier) {
+    try {
+      assertValidTier(tier);
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const event = await Event.findByPk(eventId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+          hooks: false,
+        });
+        if (!event) {
+          throw new Error("Event not found");
+        }
+        if (event.status !== "draft") {
+          throw new Error("Ticket tiers can only be added to draft events");
+        }
+        if (event.venueId) {
+          throw new Error("Seated events can't have ticket tiers");
+        }
+
+        const existing = await TicketTier.count({
+          where: { eventId, name: tier.name },
+          transaction,
+        });
+        if (existing > 0) {
+          throw new Error(`Ticket tier ${tier.name} already exists`);
+        }
+
+        const created = await TicketTier.create(
+          {
+            eventId,
+            name: tier.name,
+            price: tier.price ?? 0,
+            totalTickets: tier.totalTickets,
+            availableTickets: tier.totalTickets,
+          },
+          { transaction }
+        );
+
+        const totalTickets = await TicketTier.sum("totalTickets", {
+          where: { eventId },
+          transaction,
+        });
+        // The first tier replaces the untiered tickets: the presale cap
+        // must still fit
+        assertValidPresale(
+          { ...event.get(), totalTickets },
+          { requireCapacity: false }
+        );
+        await event.update(
+          { totalTickets, availableTickets: totalTickets },
+          { transaction }
+        );
+
+        return { tier: created, event };
+      });
+
+      logger.info(`Ticket tier added: ${result.tier.id}, Event ${eventId}`);
+      return {
+        tier: this.formatEvent(result.tier),
+        event: this.formatEvent(result.event),
+      };
+    } catch (error) {
+      logger.error(`Error adding ticket tier: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export default new EventService();
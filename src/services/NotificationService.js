@@ -0,0 +1,55 @@
+import { EventEmitter } from "events";
+import logger from "../utils/logger.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  NotificationService - TELLING USERS WHAT HAPPENED
+
+ WHAT IT DOES:
+  - Builds a notification for one user (e.g. "your event was cancelled")
+  - Logs it and emits it as a "notification" event
+
+  Delivery (email, SMS, push) is not done here: whatever delivers messages
+  subscribes to the "notification" event, so booking logic never waits on
+  (or fails because of) a mail server
+
+ USAGE:
+  notificationService.on("notification", (n) => sendEmail(n.userId, n));
+  notificationService.notify("user-123", "event_cancelled", { eventId });
+
+ IMPORTANT: Call notify AFTER the transaction commits, otherwise users can
+ be told about changes that were rolled back
+ */
+
+class NotificationService extends EventEmitter {
+  /**
+   * Send one notification
+   *
+   * INPUT:
+   * - userId: who to tell
+   * - type: what happened (e.g. 'event_cancelled')
+   * - data: details for the message
+   *
+   * OUTPUT:
+   * - The notification that was emitted
+   */
+  notify(userId, type, data = {}) {
+    const notification = {
+      userId,
+      type,
+      data,
+      sentAt: formatDateReadable(new Date()),
+    };
+
+    logger.info(`Notification: ${type} → User ${userId}`);
+    try {
+      this.emit("notification", notification);
+    } catch (error) {
+      // A broken listener must not undo work that already committed
+      logger.error(`Notification listener failed: ${error.message}`);
+    }
+    return notification;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,198 @@
+import { Payment } from "../models/index.js";
+import MockPaymentProvider from "../payments/MockPaymentProvider.js";
+import logger from "../utils/logger.js";
+import { formatAmount, toCents } from "../utils/money.js";
+
+/**
+  PaymentService - TAKING MONEY FOR BOOKINGS
+
+ WHAT IT DOES:
+  - Records every payment attempt as a Payment row
+  - Talks to the configured PaymentProvider (authorize → capture, refund)
+  - Never touches tickets: BookingService decides what a failed or
+    successful payment means for the booking
+
+  WHY NOT INSIDE THE EVENT LOCK?
+  A gateway call can take seconds. BookingService creates the payment
+  under the lock, releases it while we talk to the provider, then locks
+  again to confirm (or release) the booking
+
+ CONFIG (.env):
+  - PAYMENT_PROVIDER: which built-in provider to use (default 'mock').
+    Other gateways are plugged in with setProvider
+ */
+
+// Built-in providers, by PAYMENT_PROVIDER name
+const PROVIDERS = {
+  mock: () => new MockPaymentProvider(),
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return factory();
+};
+
+class PaymentService {
+  constructor() {
+    this.provider = createProvider(process.env.PAYMENT_PROVIDER || "mock");
+  }
+
+  /**
+   * Use another PaymentProvider (e.g. a real gateway, or a test double)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+    START A PAYMENT
+
+    Creates the 'pending' Payment row for a priced booking. Call it under
+    the event lock, in the same transaction that reserves the tickets, so
+    a payment never exists for tickets that weren't reserved
+
+    THROWS Error if the booking already has a payment in progress
+  */
+  async createPayment(booking, transaction) {
+    const inProgress = await Payment.count({
+      where: { bookingId: booking.id, status: ["pending", "authorized"] },
+      transaction,
+    });
+    if (inProgress > 0) {
+      throw new Error("A payment for this booking is already in progress");
+    }
+
+    return Payment.create(
+      {
+        bookingId: booking.id,
+        provider: this.provider.name,
+        amount: booking.totalPrice,
+        currency: booking.currency,
+      },
+      { transaction }
+    );
+  }
+
+  /**
+    CHARGE A PAYMENT
+
+    LOGIC:
+    1. Authorize the full amount
+       Declined? → status 'declined', stop
+    2. Capture it
+       Failed? → status 'failed', stop
+    3. status 'captured'
+
+    A provider that throws (unreachable, misconfigured) also leaves the
+    payment 'failed'. Nothing here throws for a refused payment: the
+    caller reads payment.status
+
+    INPUT:
+    - payment: a 'pending' Payment from createPayment
+    - paymentMethod: the client's payment method token
+
+    OUTPUT:
+    - The updated Payment
+  */
+  async charge(payment, paymentMethod) {
+    const amount = toCents(payment.amount);
+
+    try {
+      const authorization = await this.provider.authorize({
+        amount,
+        currency: payment.currency,
+        paymentMethod,
+        reference: payment.bookingId,
+      });
+      if (authorization.status !== "authorized") {
+        return await this._fail(payment, "declined", authorization.reason);
+      }
+      await payment.update({
+        status: "authorized",
+        providerReference: authorization.id,
+      });
+
+      const capture = await this.provider.capture(authorization.id, amount);
+      if (capture.status !== "captured") {
+        return await this._fail(payment, "failed", capture.reason);
+      }
+      await payment.update({ status: "captured" });
+
+      logger.info(
+        `Payment captured: ${payment.id}, Booking ${payment.bookingId}, ${payment.amount} ${payment.currency}`
+      );
+      return payment;
+    } catch (error) {
+      logger.error(`Payment provider error: ${error.message}`);
+      return this._fail(payment, "failed", error.message);
+    }
+  }
+
+  /**
+    REFUND A PAYMENT
+
+    INPUT:
+    - payment: a 'captured' Payment
+    - amount: how much to give back (default: everything not yet refunded)
+
+    OUTPUT:
+    - The updated Payment ('refunded' once nothing is left to give back)
+
+    THROWS Error if the payment wasn't captured or the provider refuses
+  */
+  async refund(payment, amount = null) {
+    try {
+      if (payment.status !== "captured") {
+        throw new Error("Only captured payments can be refunded");
+      }
+
+      const refundedCents = toCents(payment.refundedAmount);
+      const refundCents =
+        amount === null
+          ? toCents(payment.amount) - refundedCents
+          : toCents(amount);
+
+      const refund = await this.provider.refund(
+        payment.providerReference,
+        refundCents
+      );
+      if (refund.status !== "refunded") {
+        throw new Error(`Refund failed: ${refund.reason}`);
+      }
+
+      const totalRefunded = refundedCents + refundCents;
+      await payment.update({
+        refundedAmount: formatAmount(totalRefunded),
+        status:
+          totalRefunded >= toCents(payment.amount) ? "refunded" : "captured",
+      });
+
+      logger.info(
+        `Payment refunded: ${payment.id}, ${formatAmount(refundCents)} ${payment.currency}`
+      );
+      return payment;
+    } catch (error) {
+      logger.error(`Error refunding payment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * HELPER: Record why a payment didn't go through
+   */
+  async _fail(payment, status, reason) {
+    await payment.update({
+      status,
+      failureReason: reason || "Payment was not accepted",
+    });
+    logger.info(
+      `Payment ${status}: ${payment.id}, Booking ${payment.bookingId}, ${payment.failureReason}`
+    );
+    return payment;
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,221 @@
+import {
+  Event,
+  TicketTier,
+  PromoCode,
+  PromoRedemption,
+} from "../models/index.js";
+import { assertValidPromoCode } from "../models/promoCode.js";
+import logger from "../utils/logger.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  PromoCodeService - DISCOUNT CODES
+
+ WHAT IT DOES:
+  - Creates promo codes (for one event, or for every event)
+  - Checks a code can be used for a booking, and records its use
+
+  Redeeming happens inside BookingService's event lock, in the same
+  transaction that creates the booking: the code's row is locked too while
+  its redemptions are counted, so two bookings can never both take its
+  last use
+ */
+
+class PromoCodeService {
+  /**
+   * Helper: Format timestamps in a promo code for the response
+   */
+  formatPromoCode(promoCode) {
+    if (!promoCode) return promoCode;
+
+    const formatted = { ...(promoCode.dataValues || promoCode) };
+    for (const field of ["validFrom", "validUntil", "createdAt", "updatedAt"]) {
+      if (formatted[field]) {
+        formatted[field] = formatDateReadable(formatted[field]);
+      }
+    }
+    return formatted;
+  }
+
+  /**
+    CREATE PROMO CODE
+
+    INPUT:
+    - createdBy: who is creating it
+    - promoCode: {
+        code, discountType ('percent' | 'fixed'), discountValue,
+        currency? (fixed codes; defaults to the event's), maxRedemptions?,
+        perUserLimit?, validFrom?, validUntil?, eventId?, tierId?
+      }
+
+    OUTPUT:
+    - The promo code
+
+    THROWS Error if the fields are inconsistent (see assertValidPromoCode),
+    the code is taken, the event or tier doesn't exist, or a fixed code's
+    currency isn't its event's
+  */
+  async createPromoCode(createdBy, promoCode) {
+    try {
+      assertValidPromoCode(promoCode);
+      const { eventId = null, tierId = null } = promoCode;
+
+      const event = eventId && (await Event.findByPk(eventId));
+      if (eventId && !event) {
+        throw new Error("Event not found");
+      }
+
+      // Only a fixed amount has a currency
+      let currency = null;
+      if (promoCode.discountType === "fixed") {
+        currency = promoCode.currency ?? event.currency;
+        if (event && currency !== event.currency) {
+          throw new Error(
+            `Promo code currency must be the event's (${event.currency})`
+          );
+        }
+      }
+      if (tierId) {
+        const tier = await TicketTier.findOne({
+          where: { id: tierId, eventId },
+        });
+        if (!tier) {
+          throw new Error("Ticket tier not found for this event");
+        }
+      }
+
+      const existing = await PromoCode.count({
+        where: { code: promoCode.code.toUpperCase() },
+      });
+      if (existing > 0) {
+        throw new Error(
+          `Promo code ${promoCode.code.toUpperCase()} already exists`
+        );
+      }
+
+      const created = await PromoCode.create({
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        currency,
+        maxRedemptions: promoCode.maxRedemptions ?? null,
+        perUserLimit: promoCode.perUserLimit ?? null,
+        validFrom: promoCode.validFrom ?? null,
+        validUntil: promoCode.validUntil ?? null,
+        eventId,
+        tierId,
+        createdBy,
+      });
+
+      logger.info(
+        `Promo code created: ${created.code}, Event ${eventId || "any"}`
+      );
+      return this.formatPromoCode(created);
+    } catch (error) {
+      logger.error(`Error creating promo code: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    FIND A CODE A BOOKING MAY USE
+
+    Call it under the event lock. The code's row is locked until the
+    transaction ends, so the counts below stay true until redeem
+
+    INPUT:
+    - code: what the user typed (any case)
+    - context: { event, tier, userId } of the booking
+    - transaction: the event lock transaction
+
+    OUTPUT:
+    - The PromoCode
+
+    THROWS Error if the code doesn't exist, is outside its validity
+    window, belongs to another event or tier, takes off an amount in
+    another currency, or has no uses left (in total, or for this user)
+  */
+  async findRedeemable(code, { event, tier, userId }, transaction) {
+    const promoCode = await PromoCode.findOne({
+      where: { code: code.toUpperCase() },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!promoCode) {
+      throw new Error("Promo code not found");
+    }
+
+    const now = new Date();
+    if (promoCode.validFrom && now < promoCode.validFrom) {
+      throw new Error("Promo code is not valid yet");
+    }
+    if (promoCode.validUntil && now >= promoCode.validUntil) {
+      throw new Error("Promo code has expired");
+    }
+    if (promoCode.eventId && promoCode.eventId !== event.id) {
+      throw new Error("Promo code is not valid for this event");
+    }
+    if (promoCode.tierId && promoCode.tierId !== (tier && tier.id)) {
+      throw new Error("Promo code is not valid for this ticket tier");
+    }
+    if (promoCode.currency && promoCode.currency !== event.currency) {
+      throw new Error(
+        `Promo code is in ${promoCode.currency}, this event is priced in ${event.currency}`
+      );
+    }
+
+    if (promoCode.maxRedemptions !== null) {
+      const redemptions = await PromoRedemption.count({
+        where: { promoCodeId: promoCode.id },
+        transaction,
+      });
+      if (redemptions >= promoCode.maxRedemptions) {
+        throw new Error("Promo code has been fully redeemed");
+      }
+    }
+    if (promoCode.perUserLimit !== null) {
+      const userRedemptions = await PromoRedemption.count({
+        where: { promoCodeId: promoCode.id, userId },
+        transaction,
+      });
+      if (userRedemptions >= promoCode.perUserLimit) {
+        throw new Error("You have already used this promo code");
+      }
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * Record that a booking used a code (same transaction as the booking)
+   * Does nothing without a code
+   */
+  async redeem(promoCode, booking, transaction) {
+    if (!promoCode) return;
+    await PromoRedemption.create(
+      {
+        promoCodeId: promoCode.id,
+        bookingId: booking.id,
+        userId: booking.userId,
+      },
+      { transaction }
+    );
+    logger.info(
+      `Promo code redeemed: ${promoCode.code}, Booking ${booking.id}`
+    );
+  }
+
+  /**
+   * Give a booking's use of its code back (the booking never got its
+   * tickets, or the whole event was called off)
+   */
+  async release(booking, transaction) {
+    if (!booking.promoCodeId) return;
+    await PromoRedemption.destroy({
+      where: { bookingId: booking.id },
+      transaction,
+    });
+  }
+}
+
+export default new PromoCodeService();
@@ -0,0 +1,333 @@
+import {
+  Event,
+  Booking,
+  TicketTier,
+  Venue,
+  Section,
+  Seat,
+  BookingSeat,
+} from "../models/index.js";
+import { assertValidPresale } from "../models/event.js";
+import sequelize from "../config/database.js";
+import eventService from "./EventService.js";
+import logger from "../utils/logger.js";
+import { formatDateReadable } from "../utils/dateFormatter.js";
+
+/**
+  VenueService - VENUES AND SEAT MAPS
+
+ WHAT IT DOES:
+  - Creates venues together with their seat map (sections → rows → seats)
+  - Attaches a venue's seat map to an event
+  - Shows which seats of a section are free for an event
+
+  Booking specific seats happens in BookingService, under the same event
+  lock as every other ticket movement
+ */
+
+class VenueService {
+  /**
+   * Helper: Format timestamps in a venue for the response
+   */
+  formatVenue(venue) {
+    if (!venue) return venue;
+
+    const formatted = { ...(venue.dataValues || venue) };
+    if (formatted.createdAt) {
+      formatted.createdAt = formatDateReadable(formatted.createdAt);
+    }
+    if (formatted.updatedAt) {
+      formatted.updatedAt = formatDateReadable(formatted.updatedAt);
+    }
+    return formatted;
+  }
+
+  /**
+    CREATE VENUE
+
+    INPUT:
+    - ownerId: organizer creating it
+    - venue: {
+        name, address?,
+        sections: [{ name, priority?, rows: [{ row: "A", seats: 12 }, ...] }]
+      }
+      Rows are listed front to back; seats in a row are numbered 1..seats.
+      priority ranks sections for best-available booking (lower = better)
+
+    OUTPUT:
+    - The venue with its sections (id, name, priority, seatCount)
+
+    Everything is created in ONE transaction: a bad section leaves no
+    half-built venue behind
+  */
+  async createVenue(ownerId, { name, address = null, sections = [] }) {
+    try {
+      if (!name || typeof name !== "string") {
+        throw new Error("Venue name must be a non-empty string");
+      }
+      if (sections.length === 0) {
+        throw new Error("A venue needs at least one section");
+      }
+
+      const venue = await sequelize.transaction(async (transaction) => {
+        const venue = await Venue.create(
+          { name, address, ownerId },
+          { transaction }
+        );
+
+        const createdSections = [];
+        for (const section of sections) {
+          const created = await Section.create(
+            {
+              venueId: venue.id,
+              name: section.name,
+              priority: section.priority ?? 1,
+            },
+            { transaction }
+          );
+
+          const seats = section.rows.flatMap(({ row, seats }, rowIndex) =>
+            Array.from({ length: seats }, (_, i) => ({
+              sectionId: created.id,
+              row,
+              rowIndex,
+              number: i + 1,
+            }))
+          );
+          await Seat.bulkCreate(seats, { transaction });
+
+          createdSections.push({
+            id: created.id,
+            name: created.name,
+            priority: created.priority,
+            seatCount: seats.length,
+          });
+        }
+
+        return { ...this.formatVenue(venue), sections: createdSections };
+      });
+
+      logger.info(`Venue created: ${venue.id}, Sections: ${sections.length}`);
+      return venue;
+    } catch (error) {
+      logger.error(`Error creating venue: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    GET VENUE
+    Returns the venue with its sections and how many seats each has
+    THROWS Error if the venue doesn't exist
+  */
+  async getVenue(venueId) {
+    try {
+      const venue = await Venue.findByPk(venueId);
+      if (!venue) {
+        throw new Error("Venue not found");
+      }
+
+      return {
+        ...this.formatVenue(venue),
+        sections: await this._describeSections(venueId),
+      };
+    } catch (error) {
+      logger.error(`Error getting venue: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    ATTACH A SEAT MAP TO AN EVENT
+
+    LOGIC:
+    1. LOCK the event row (so it can't be published mid-change)
+    2. Refuse unless the event is a draft without ticket tiers
+    3. Point the event at the venue; its tickets become the venue's seats
+       (totalTickets = availableTickets = number of seats)
+    4. Fill in venueName/venueAddress from the venue if they are empty
+
+    OUTPUT:
+    - event: the updated event
+    - sections: the seat map's sections (id, name, seatCount)
+  */
+  async attachSeatMap(eventId, venueId) {
+    try {
+      const event = await sequelize.transaction(async (transaction) => {
+        const event = await Event.findByPk(eventId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+          hooks: false,
+        });
+        if (!event) {
+          throw new Error("Event not found");
+        }
+        if (event.status !== "draft") {
+          throw new Error("Seat maps can only be attached to draft events");
+        }
+
+        const tierCount = await TicketTier.count({
+          where: { eventId },
+          transaction,
+        });
+        if (tierCount > 0) {
+          throw new Error("Events with ticket tiers can't use a seat map");
+        }
+
+        const venue = await Venue.findByPk(venueId, { transaction });
+        if (!venue) {
+          throw new Error("Venue not found");
+        }
+
+        const sections = await Section.findAll({
+          where: { venueId },
+          attributes: ["id"],
+          transaction,
+        });
+        const seatCount = await Seat.count({
+          where: { sectionId: sections.map((section) => section.id) },
+          transaction,
+        });
+        // The seats replace the event's tickets: the presale cap must
+        // still leave some for general sale
+        assertValidPresale(
+          { ...event.get(), totalTickets: seatCount },
+          { requireCapacity: false }
+        );
+
+        await event.update(
+          {
+            venueId,
+            totalTickets: seatCount,
+            availableTickets: seatCount,
+            venueName: event.venueName || venue.name,
+            venueAddress: event.venueAddress || venue.address,
+          },
+          { transaction }
+        );
+        return event;
+      });
+
+      logger.info(`Seat map attached: Event ${eventId}, Venue ${venueId}`);
+      return {
+        event: eventService.formatEvent(event),
+        sections: await this._describeSections(venueId),
+      };
+    } catch (error) {
+      logger.error(`Error attaching seat map: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+    GET SEAT AVAILABILITY FOR A SECTION
+
+    INPUT:
+    - eventId: Which event?
+    - sectionId: Which section of its seat map?
+
+    OUTPUT:
+    - totalSeats, availableSeats
+    - rows: front to back, each { row, seats: [{ seatId, number, status }] }
+      where status is 'available', 'held' (someone is checking out) or
+      'booked'
+
+    Read without the lock: a seat shown free may be taken a moment later,
+    booking it is what checks for real
+  */
+  async getSeatAvailability(eventId, sectionId) {
+    try {
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        throw new Error("Event not found");
+      }
+      if (!event.venueId) {
+        throw new Error("This event has no seat map");
+      }
+
+      const section = await Section.findOne({
+        where: { id: sectionId, venueId: event.venueId },
+      });
+      if (!section) {
+        throw new Error("Section not found");
+      }
+
+      const seats = await Seat.findAll({
+        where: { sectionId },
+        order: [
+          ["rowIndex", "ASC"],
+          ["number", "ASC"],
+        ],
+      });
+      const taken = await BookingSeat.findAll({
+        where: { eventId, seatId: seats.map((seat) => seat.id) },
+        attributes: ["seatId", "bookingId"],
+        raw: true,
+      });
+      const bookings = await Booking.findAll({
+        where: { id: taken.map((row) => row.bookingId) },
+        attributes: ["id", "status"],
+        raw: true,
+      });
+
+      const seatStatus = new Map();
+      for (const { seatId, bookingId } of taken) {
+        const booking = bookings.find((b) => b.id === bookingId);
+        seatStatus.set(seatId, booking?.status === "held" ? "held" : "booked");
+      }
+
+      const rows = [];
+      for (const seat of seats) {
+        let row = rows[rows.length - 1];
+        if (!row || row.row !== seat.row) {
+          row = { row: seat.row, seats: [] };
+          rows.push(row);
+        }
+        row.seats.push({
+          seatId: seat.id,
+          number: seat.number,
+          status: seatStatus.get(seat.id) || "available",
+        });
+      }
+
+      return {
+        eventId,
+        sectionId,
+        sectionName: section.name,
+        totalSeats: seats.length,
+        availableSeats: seats.length - seatStatus.size,
+        rows,
+      };
+    } catch (error) {
+      logger.error(`Error getting seat availability: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * HELPER: List a venue's sections with their seat counts
+   * (best-available order: priority, then name)
+   */
+  async _describeSections(venueId) {
+    const sections = await Section.findAll({
+      where: { venueId },
+      order: [
+        ["priority", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    const described = [];
+    for (const section of sections) {
+      described.push({
+        id: section.id,
+        name: section.name,
+        priority: section.priority,
+        seatCount: await Seat.count({ where: { sectionId: section.id } }),
+      });
+    }
+    return described;
+  }
+}
+
+export default new VenueService();
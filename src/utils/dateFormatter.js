@@ -9,12 +9,14 @@
  * FORMATS:
  * - ISO: "2025-11-28T21:10:58.849Z"  (for storage/compatibility)
  * - Readable: "28 Nov 2025 at 21:10:58 UTC" (for display)
+ *   or in an event's own timezone: "28 Nov 2025 at 22:10:58 Africa/Lagos"
  * - Compact: "2025-11-28 21:10:58" (for logs)
  *
  * USAGE:
  * import { formatDateISO, formatDateReadable, formatDateCompact } from '../utils/dateFormatter.js';
  * formatDateISO(new Date())        // ISO format
  * formatDateReadable(new Date())   // Readable format
+ * formatDateReadable(new Date(), 'Africa/Lagos') // Readable, in that timezone
  * formatDateCompact(new Date())    // Compact format
  */
 
@@ -31,12 +33,28 @@ export function formatDateISO(date) {
   return date.toISOString();
 }
 
+/**
+ * Check that a string is an IANA timezone name (e.g. "Europe/London")
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Format date as human-readable string
  * Used for API responses (user-friendly)
  * Example: "28 Nov 2025 at 21:10:58 UTC"
+ *
+ * timeZone: IANA name to render the time in (default UTC); the zone name
+ * replaces "UTC" at the end, e.g. "28 Nov 2025 at 22:10:58 Africa/Lagos"
  */
-export function formatDateReadable(date) {
+export function formatDateReadable(date, timeZone = "UTC") {
   if (!date) return null;
 
   if (typeof date === "string") {
@@ -69,6 +87,10 @@ export function formatDateReadable(date) {
     "Dec",
   ];
 
+  if (timeZone !== "UTC" && isValidTimeZone(timeZone)) {
+    return formatInTimeZone(date, timeZone, months);
+  }
+
   const day = date.getUTCDate().toString().padStart(2, "0");
   const month = months[date.getUTCMonth()];
   const year = date.getUTCFullYear();
@@ -79,6 +101,31 @@ export function formatDateReadable(date) {
   return `${day} ${month} ${year} at ${hours}:${minutes}:${seconds} UTC`;
 }
 
+/**
+ * Readable format for a non-UTC timezone (Intl does the offset/DST maths)
+ */
+function formatInTimeZone(date, timeZone, months) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  const month = months[parseInt(parts.month, 10) - 1];
+
+  return `${parts.day} ${month} ${parts.year} at ${parts.hour}:${parts.minute}:${parts.second} ${timeZone}`;
+}
+
 /**
  * Format date as compact string
  * Used for logs and debugging
@@ -150,6 +197,7 @@ export function getCurrentTimestampCompact() {
 export default {
   formatDateISO,
   formatDateReadable,
+  isValidTimeZone,
   formatDateCompact,
   formatDateWithTimezone,
   getCurrentTimestampISO,
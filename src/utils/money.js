@@ -0,0 +1,31 @@
+/**
+ * Money Utility
+ *
+ * WHAT IT DOES:
+ * - Converts between stored amounts and whole cents
+ *
+ * WHY CENTS?
+ * Prices are stored as DECIMAL(10, 2) and come back from PostgreSQL as
+ * strings ("19.99"). Adding them up as JavaScript floats drifts
+ * (0.1 + 0.2 !== 0.3), so every calculation is done in integer cents and
+ * only turned back into a "19.99" string for storage and responses
+ *
+ * USAGE:
+ * import { toCents, formatAmount } from '../utils/money.js';
+ * formatAmount(toCents("19.99") * 3)   // "59.97"
+ */
+
+/**
+ * Amount ("19.99", 19.99 or null) → whole cents (1999, or 0 for null)
+ */
+export function toCents(amount) {
+  if (amount === null || amount === undefined) return 0;
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Whole cents (1999) → amount string with two decimals ("19.99")
+ */
+export function formatAmount(cents) {
+  return (cents / 100).toFixed(2);
+}
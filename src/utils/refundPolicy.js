@@ -0,0 +1,61 @@
+/**
+ * Refund Policy Utility
+ *
+ * WHAT IT DOES:
+ * - Checks that an event's refund policy makes sense
+ * - Works out what share of the price a cancellation gets back
+ *
+ * POLICY (event.refundPolicy):
+ * {
+ *   "fullRefundHours": 72,      cancelled 72+ hours before the start: 100%
+ *   "partialRefundPercent": 50, cancelled after that: 50%...
+ *   "noRefundHours": 24         ...unless it's within 24 hours: nothing
+ * }
+ *
+ * No policy, or an event without a startsAt (nothing to count back from),
+ * means a full refund
+ *
+ * USAGE:
+ * import { refundPercent } from '../utils/refundPolicy.js';
+ * refundPercent(event.refundPolicy, event.startsAt)   // 100, 50 or 0
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Throw unless policy is null or a usable refund policy
+ */
+export function assertValidRefundPolicy(policy) {
+  if (policy === null || policy === undefined) return;
+
+  const { fullRefundHours, partialRefundPercent, noRefundHours } = policy;
+  for (const [field, value] of Object.entries({
+    fullRefundHours,
+    partialRefundPercent,
+    noRefundHours,
+  })) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Refund policy ${field} must be a non-negative integer`);
+    }
+  }
+  if (partialRefundPercent > 100) {
+    throw new Error("Refund policy partialRefundPercent can't exceed 100");
+  }
+  if (noRefundHours > fullRefundHours) {
+    throw new Error(
+      "Refund policy noRefundHours can't be more than fullRefundHours"
+    );
+  }
+}
+
+/**
+ * Percentage (0-100) of the price refunded for a cancellation at `now`
+ */
+export function refundPercent(policy, startsAt, now = new Date()) {
+  if (!policy || !startsAt) return 100;
+
+  const hoursLeft = (new Date(startsAt) - now) / HOUR_MS;
+  if (hoursLeft >= policy.fullRefundHours) return 100;
+  if (hoursLeft >= policy.noRefundHours) return policy.partialRefundPercent;
+  return 0;
+}
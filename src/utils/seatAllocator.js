@@ -0,0 +1,112 @@
+/**
+ * Seat Allocator Utility
+ *
+ * WHAT IT DOES:
+ * - Picks the "best available" block of N seats that sit together
+ *   (same section, same row, consecutive seat numbers)
+ *
+ * HOW "BEST" IS DECIDED (first rule that separates two blocks wins):
+ * 1. Section priority: lower number = better (ties: section name A-Z)
+ * 2. Row: nearer the front (lower rowIndex) is better
+ * 3. Position in the row: block centre nearest the row centre is better
+ * 4. Lower starting seat number (so the result never depends on the
+ *    order rows come out of the database)
+ *
+ * Pure function, no database access: BookingService loads the seat map
+ * and the taken seats under the event lock and asks this for a block
+ *
+ * USAGE:
+ * import { findBestSeats } from '../utils/seatAllocator.js';
+ * findBestSeats({ sections, seats, takenSeatIds, quantity })
+ */
+
+/**
+ * Find the best block of `quantity` free seats next to each other
+ *
+ * INPUT:
+ * - sections: [{ id, name, priority }]
+ * - seats: [{ id, sectionId, row, rowIndex, number }] (any order)
+ * - takenSeatIds: ids of seats already taken for the event
+ * - quantity: how many seats are needed
+ *
+ * OUTPUT:
+ * - The chosen seats in seat number order, or null if no row has
+ *   `quantity` free seats together
+ */
+export function findBestSeats({ sections, seats, takenSeatIds, quantity }) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return null;
+  }
+
+  const taken = new Set(takenSeatIds);
+  const rankedSections = [...sections].sort(
+    (a, b) =>
+      (a.priority ?? 1) - (b.priority ?? 1) || a.name.localeCompare(b.name)
+  );
+
+  for (const section of rankedSections) {
+    const rows = groupRows(seats.filter((s) => s.sectionId === section.id));
+
+    for (const rowSeats of rows) {
+      const block = bestBlockInRow(rowSeats, taken, quantity);
+      if (block) {
+        return block;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Group a section's seats into rows, front row first,
+ * each row sorted by seat number
+ */
+function groupRows(sectionSeats) {
+  const rows = new Map();
+  for (const seat of sectionSeats) {
+    if (!rows.has(seat.rowIndex)) {
+      rows.set(seat.rowIndex, []);
+    }
+    rows.get(seat.rowIndex).push(seat);
+  }
+
+  return [...rows.keys()]
+    .sort((a, b) => a - b)
+    .map((rowIndex) => rows.get(rowIndex).sort((a, b) => a.number - b.number));
+}
+
+/**
+ * Best block of `quantity` free, consecutively numbered seats in one row
+ * (closest to the row centre, then lowest starting number), or null
+ */
+function bestBlockInRow(rowSeats, taken, quantity) {
+  if (rowSeats.length < quantity) {
+    return null;
+  }
+
+  const rowCentre =
+    (rowSeats[0].number + rowSeats[rowSeats.length - 1].number) / 2;
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (let start = 0; start + quantity <= rowSeats.length; start++) {
+    const block = rowSeats.slice(start, start + quantity);
+    const together = block.every(
+      (seat, i) =>
+        !taken.has(seat.id) &&
+        (i === 0 || seat.number === block[i - 1].number + 1)
+    );
+    if (!together) continue;
+
+    const blockCentre = (block[0].number + block[quantity - 1].number) / 2;
+    const distance = Math.abs(blockCentre - rowCentre);
+    // Strictly closer only: on a tie the earlier (lower) block stays
+    if (distance < bestDistance) {
+      best = block;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
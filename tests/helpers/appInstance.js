@@ -0,0 +1,30 @@
+/**
+ * App Instance (child process)
+ *
+ * WHAT IT DOES:
+ * - Boots the Express app on a random free port in its OWN Node process
+ * - Reports the port back to the parent test via IPC
+ * - Shuts down cleanly when the parent disconnects
+ *
+ * WHY:
+ * Several of these behind one database behave like several servers behind
+ * a load balancer, so tests can prove the event lock is not in-memory
+ *
+ * USAGE (from a test):
+ * const child = fork("tests/helpers/appInstance.js");
+ * child.on("message", ({ port }) => ...);
+ */
+
+import app from "../../src/app.js";
+import sequelize from "../../src/config/database.js";
+
+const server = app.listen(0, "127.0.0.1", () => {
+  process.send({ port: server.address().port });
+});
+
+process.on("disconnect", () => {
+  server.close(async () => {
+    await sequelize.close();
+    process.exit(0);
+  });
+});
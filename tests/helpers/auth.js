@@ -0,0 +1,20 @@
+/**
+ * Auth Test Helper
+ *
+ * WHAT IT DOES:
+ * - Signs HS256 tokens with the test JWT_SECRET (see tests/setup.js)
+ *
+ * USAGE:
+ * request(app).post("/book").set("Authorization", authHeader("user1"))
+ */
+
+import jwt from "jsonwebtoken";
+
+export const signToken = (userId, claims = {}, options = {}) =>
+  jwt.sign({ sub: userId, ...claims }, process.env.JWT_SECRET, {
+    algorithm: "HS256",
+    ...options,
+  });
+
+export const authHeader = (userId, claims = {}) =>
+  `Bearer ${signToken(userId, claims)}`;
@@ -0,0 +1,148 @@
+/**
+ * Multi-Instance Integration Tests
+ *
+ * WHAT IT TESTS:
+ * - Overbooking protection across SEPARATE Node processes
+ * - Several app instances sharing one PostgreSQL database
+ *
+ * HOW IT WORKS:
+ * 1. Fork 3 child processes, each running the app on its own port
+ * 2. Fire concurrent /book and /cancel requests round-robin across them
+ * 3. Verify counts in the database (in-memory locks would fail here)
+ *
+ * HOW TO RUN:
+ * npm run test:integration
+ */
+
+import { fork } from "child_process";
+import path from "path";
+import request from "supertest";
+import { authHeader } from "../helpers/auth.js";
+import sequelize from "../../src/config/database.js";
+import { Event, Booking, WaitingList } from "../../src/models/index.js";
+
+const INSTANCE_COUNT = 3;
+const INSTANCE_SCRIPT = path.resolve("tests/helpers/appInstance.js");
+
+const startInstance = () =>
+  new Promise((resolve, reject) => {
+    const child = fork(INSTANCE_SCRIPT, [], {
+      env: { ...process.env, NODE_ENV: "test" },
+      stdio: ["ignore", "ignore", "inherit", "ipc"],
+    });
+    child.once("message", ({ port }) =>
+      resolve({ child, url: `http://127.0.0.1:${port}` })
+    );
+    child.once("error", reject);
+  });
+
+const stopInstance = ({ child }) =>
+  new Promise((resolve) => {
+    child.once("exit", resolve);
+    child.disconnect();
+  });
+
+describe("Multi-Instance Concurrency", () => {
+  let instances;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    instances = await Promise.all(
+      Array.from({ length: INSTANCE_COUNT }, startInstance)
+    );
+  });
+
+  afterEach(async () => {
+    await WaitingList.destroy({ where: {} });
+    await Booking.destroy({ where: {} });
+    await Event.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await Promise.all(instances.map(stopInstance));
+    await sequelize.close();
+  });
+
+  // Round-robin requests across instances like a load balancer would
+  const instanceFor = (i) => instances[i % instances.length].url;
+
+  test("should prevent overbooking across app instances", async () => {
+    const event = await Event.create({
+      name: "Multi Instance Test",
+      totalTickets: 10,
+      availableTickets: 10,
+      status: "on_sale",
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: 30 }, (_, i) =>
+        request(instanceFor(i))
+          .post("/book")
+          .set("Authorization", authHeader(`user${i + 1}`))
+          .send({ eventId: event.id, userId: `user${i + 1}` })
+      )
+    );
+
+    const confirmed = responses.filter(
+      (r) => r.body.data.status === "confirmed"
+    );
+    const waiting = responses.filter((r) => r.body.data.status === "waiting");
+
+    expect(confirmed.length).toBe(10);
+    expect(waiting.length).toBe(20);
+
+    // Waiting list positions must be unique and gap-free
+    const positions = waiting
+      .map((r) => r.body.data.position)
+      .sort((a, b) => a - b);
+    expect(positions).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+
+    const updatedEvent = await Event.findByPk(event.id);
+    expect(updatedEvent.availableTickets).toBe(0);
+    expect(
+      await Booking.count({ where: { eventId: event.id, status: "confirmed" } })
+    ).toBe(10);
+  });
+
+  test("should keep counts consistent with concurrent cancels and bookings", async () => {
+    const event = await Event.create({
+      name: "Multi Instance Cancel Test",
+      totalTickets: 5,
+      availableTickets: 5,
+      status: "on_sale",
+    });
+
+    for (let i = 1; i <= 8; i++) {
+      await request(instanceFor(i))
+        .post("/book")
+        .set("Authorization", authHeader(`user${i}`))
+        .send({ eventId: event.id, userId: `user${i}` });
+    }
+
+    // 5 confirmed, 3 waiting. Now cancel 3 and book 3 more at once
+    const responses = await Promise.all([
+      ...[1, 2, 3].map((i) =>
+        request(instanceFor(i))
+          .post("/cancel")
+          .set("Authorization", authHeader(`user${i}`))
+          .send({ eventId: event.id, userId: `user${i}` })
+      ),
+      ...[9, 10, 11].map((i) =>
+        request(instanceFor(i))
+          .post("/book")
+          .set("Authorization", authHeader(`user${i}`))
+          .send({ eventId: event.id, userId: `user${i}` })
+      ),
+    ]);
+
+    responses.forEach((r) => expect(r.body.success).toBe(true));
+
+    const updatedEvent = await Event.findByPk(event.id);
+    const allocatedCount = await Booking.count({
+      where: { eventId: event.id, status: ["confirmed", "offered"] },
+    });
+
+    expect(allocatedCount).toBe(5);
+    expect(updatedEvent.availableTickets).toBe(0);
+  });
+});
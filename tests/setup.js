@@ -0,0 +1,13 @@
+/**
+ * Jest Setup
+ *
+ * WHAT IT DOES:
+ * - Runs before every test file (see setupFiles in jest.config.js)
+ * - Provides a JWT secret so auth middleware works without a .env file
+ * - Raises rate limits so suites making many requests aren't throttled
+ *   (limiter behaviour itself is tested with createRateLimiter)
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.RATE_LIMIT_BOOKING_MAX_REQUESTS = "10000";
+process.env.RATE_LIMIT_MAX_REQUESTS = "10000";
@@ -0,0 +1,260 @@
+/**
+ * Unit Tests for EventService
+ *
+ * WHAT IT TESTS:
+ * - Listing events (pagination, filtering, sorting)
+ * - Fetching, updating and deleting single events
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import sequelize from "../../src/config/database.js";
+import {
+  Event,
+  Booking,
+  WaitingList,
+  Payment,
+  Refund,
+} from "../../src/models/index.js";
+import eventService from "../../src/services/EventService.js";
+import bookingService from "../../src/services/BookingService.js";
+
+describe("EventService", () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterEach(async () => {
+    await WaitingList.destroy({ where: {} });
+    await Refund.destroy({ where: {} });
+    await Payment.destroy({ where: {} });
+    await Booking.destroy({ where: {} });
+    await Event.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  // ============= LIST EVENTS TESTS =============
+
+  describe("listEvents", () => {
+    beforeEach(async () => {
+      await Event.bulkCreate([
+        {
+          name: "Alpha Concert",
+          totalTickets: 10,
+          availableTickets: 10,
+          ownerId: "org1",
+        },
+        {
+          name: "Beta Match",
+          totalTickets: 20,
+          availableTickets: 0,
+          ownerId: "org1",
+        },
+        {
+          name: "Gamma Concert",
+          totalTickets: 5,
+          availableTickets: 3,
+          ownerId: "org2",
+        },
+      ]);
+    });
+
+    test("should paginate results", async () => {
+      const firstPage = await eventService.listEvents({
+        page: 1,
+        limit: 2,
+        sortBy: "name",
+        order: "asc",
+      });
+      const secondPage = await eventService.listEvents({
+        page: 2,
+        limit: 2,
+        sortBy: "name",
+        order: "asc",
+      });
+
+      expect(firstPage.events.map((e) => e.name)).toEqual([
+        "Alpha Concert",
+        "Beta Match",
+      ]);
+      expect(secondPage.events.map((e) => e.name)).toEqual(["Gamma Concert"]);
+      expect(firstPage.pagination).toEqual({
+        page: 1,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+      });
+    });
+
+    test("should filter by name, owner and availability", async () => {
+      const concerts = await eventService.listEvents({ name: "concert" });
+      const org1Events = await eventService.listEvents({ ownerId: "org1" });
+      const soldOut = await eventService.listEvents({ available: false });
+
+      expect(concerts.pagination.total).toBe(2);
+      expect(org1Events.pagination.total).toBe(2);
+      expect(soldOut.events.map((e) => e.name)).toEqual(["Beta Match"]);
+    });
+
+    test("should sort by the requested field", async () => {
+      const result = await eventService.listEvents({
+        sortBy: "totalTickets",
+        order: "desc",
+      });
+
+      expect(result.events.map((e) => e.totalTickets)).toEqual([20, 10, 5]);
+    });
+
+    test("should reject unknown sort fields", async () => {
+      await expect(
+        eventService.listEvents({ sortBy: "ownerId" })
+      ).rejects.toThrow("Cannot sort events by ownerId");
+    });
+  });
+
+  // ============= SINGLE EVENT TESTS =============
+
+  describe("getEvent / updateEvent / deleteEvent", () => {
+    let event;
+
+    beforeEach(async () => {
+      event = await bookingService.initializeEvent("Managed Event", 2, "org1", {
+        status: "on_sale",
+      });
+    });
+
+    test("should fetch an event", async () => {
+      const found = await eventService.getEvent(event.id);
+
+      expect(found.name).toBe("Managed Event");
+      expect(found.ownerId).toBe("org1");
+    });
+
+    test("should show event times in the event timezone", async () => {
+      await eventService.updateEvent(event.id, {
+        startsAt: new Date("2026-07-01T18:00:00Z"),
+        timezone: "Europe/London",
+      });
+
+      const found = await eventService.getEvent(event.id);
+
+      expect(found.startsAt).toBe("01 Jul 2026 at 19:00:00 Europe/London");
+    });
+
+    test("should check the schedule against stored dates on update", async () => {
+      await eventService.updateEvent(event.id, {
+        startsAt: new Date("2026-07-01T18:00:00Z"),
+      });
+
+      await expect(
+        eventService.updateEvent(event.id, {
+          endsAt: new Date("2026-07-01T17:00:00Z"),
+        })
+      ).rejects.toThrow("Event must end after it starts");
+    });
+
+    test("should refuse to change currency once tickets are sold", async () => {
+      await eventService.updateEvent(event.id, { currency: "EUR" });
+      await bookingService.bookTicket(event.id, "user1");
+
+      await expect(
+        eventService.updateEvent(event.id, { currency: "GBP" })
+      ).rejects.toThrow("Currency can't change once tickets are sold");
+      // The price itself may still change for future bookings
+      const updated = await eventService.updateEvent(event.id, { price: 30 });
+      expect(updated.price).toBe(30);
+    });
+
+    test("should check the currency against bookings made while it waited", async () => {
+      let update;
+
+      // A booking holds the event lock while the update comes in
+      await sequelize.transaction(async (transaction) => {
+        await Event.findByPk(event.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        update = eventService.updateEvent(event.id, { currency: "EUR" });
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        await Booking.create(
+          {
+            eventId: event.id,
+            userId: "user1",
+            status: "confirmed",
+            unitPrice: "30.00",
+            totalPrice: "30.00",
+            currency: "USD",
+          },
+          { transaction }
+        );
+      });
+
+      await expect(update).rejects.toThrow(
+        "Currency can't change once tickets are sold"
+      );
+      expect((await Event.findByPk(event.id)).currency).toBe("USD");
+    });
+
+    test("should rename an event", async () => {
+      const updated = await eventService.updateEvent(event.id, {
+        name: "Renamed Event",
+      });
+
+      expect(updated.name).toBe("Renamed Event");
+
+      const found = await Event.findByPk(event.id);
+      expect(found.name).toBe("Renamed Event");
+    });
+
+    test("should delete an event and its waiting list history", async () => {
+      await bookingService.bookTicket(event.id, "user1");
+      await bookingService.cancelBooking(event.id, "user1");
+
+      const result = await eventService.deleteEvent(event.id);
+
+      expect(result.id).toBe(event.id);
+      expect(await Event.findByPk(event.id)).toBeNull();
+      expect(await Booking.count({ where: { eventId: event.id } })).toBe(0);
+    });
+
+    test("should refuse to delete an event with active bookings", async () => {
+      await bookingService.bookTicket(event.id, "user1");
+
+      await expect(eventService.deleteEvent(event.id)).rejects.toThrow(
+        "Event has active bookings and cannot be deleted"
+      );
+    });
+
+    test("should refuse to delete an event whose tickets were paid for", async () => {
+      await eventService.updateEvent(event.id, { price: 30 });
+      await bookingService.bookTicket(event.id, "user1", 1, {
+        paymentMethod: "tok_visa",
+      });
+      await bookingService.cancelBooking(event.id, "user1");
+
+      await expect(eventService.deleteEvent(event.id)).rejects.toThrow(
+        "Event has payment records and cannot be deleted"
+      );
+      expect(await Payment.count()).toBe(1);
+      expect(await Refund.count()).toBe(1);
+    });
+
+    test("should throw for unknown events", async () => {
+      const unknownId = "00000000-0000-0000-0000-000000000000";
+
+      await expect(eventService.getEvent(unknownId)).rejects.toThrow(
+        "Event not found"
+      );
+      await expect(
+        eventService.updateEvent(unknownId, { name: "Nope" })
+      ).rejects.toThrow("Event not found");
+      await expect(eventService.deleteEvent(unknownId)).rejects.toThrow(
+        "Event not found"
+      );
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for PaymentService
+ *
+ * WHAT IT TESTS:
+ * - Charging a payment (authorize + capture) through the mock provider
+ * - Full and partial refunds
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import sequelize from "../../src/config/database.js";
+import { Event, Booking, Payment } from "../../src/models/index.js";
+import paymentService from "../../src/services/PaymentService.js";
+import { MOCK_DECLINED } from "../../src/payments/MockPaymentProvider.js";
+
+describe("PaymentService", () => {
+  let booking;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    const event = await Event.create({
+      name: "Paid Event",
+      totalTickets: 5,
+      availableTickets: 5,
+    });
+    booking = await Booking.create({
+      eventId: event.id,
+      userId: "user1",
+      quantity: 2,
+      status: "held",
+      unitPrice: "25.00",
+      totalPrice: "50.00",
+      currency: "EUR",
+    });
+  });
+
+  afterEach(async () => {
+    await Payment.destroy({ where: {} });
+    await Booking.destroy({ where: {} });
+    await Event.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test("should charge the booking's total", async () => {
+    const payment = await paymentService.createPayment(booking);
+
+    await paymentService.charge(payment, "tok_visa");
+
+    expect(payment.status).toBe("captured");
+    expect(payment.amount).toBe("50.00");
+    expect(payment.currency).toBe("EUR");
+  });
+
+  test("should allow one payment in progress per booking", async () => {
+    await paymentService.createPayment(booking);
+
+    await expect(paymentService.createPayment(booking)).rejects.toThrow(
+      "A payment for this booking is already in progress"
+    );
+  });
+
+  test("should record why a payment was declined", async () => {
+    const payment = await paymentService.createPayment(booking);
+
+    await paymentService.charge(payment, MOCK_DECLINED);
+
+    const stored = await Payment.findByPk(payment.id);
+    expect(stored.status).toBe("declined");
+    expect(stored.failureReason).toBe("Card declined");
+    expect(stored.providerReference).toBeNull();
+  });
+
+  test("should refund in parts, then in full", async () => {
+    const payment = await paymentService.createPayment(booking);
+    await paymentService.charge(payment, "tok_visa");
+
+    await paymentService.refund(payment, "20.00");
+    expect(payment.status).toBe("captured");
+    expect(payment.refundedAmount).toBe("20.00");
+
+    // No amount: whatever is left
+    await paymentService.refund(payment);
+    expect(payment.status).toBe("refunded");
+    expect(payment.refundedAmount).toBe("50.00");
+  });
+
+  test("should refuse refunds the payment can't cover", async () => {
+    const payment = await paymentService.createPayment(booking);
+    await expect(paymentService.refund(payment)).rejects.toThrow(
+      "Only captured payments can be refunded"
+    );
+
+    await paymentService.charge(payment, "tok_visa");
+    await expect(paymentService.refund(payment, "80.00")).rejects.toThrow(
+      "Refund failed: Amount exceeds captured amount"
+    );
+  });
+});
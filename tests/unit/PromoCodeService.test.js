@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for PromoCodeService
+ *
+ * WHAT IT TESTS:
+ * - Creating promo codes (event, tier and currency checks, duplicates)
+ * - Which codes a booking may use (validity window, tier)
+ * - How much a code takes off
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import sequelize from "../../src/config/database.js";
+import { Event, TicketTier, PromoCode } from "../../src/models/index.js";
+import promoCodeService from "../../src/services/PromoCodeService.js";
+import { discountCents } from "../../src/models/promoCode.js";
+
+describe("PromoCodeService", () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let event;
+
+  // findRedeemable runs under the booking's event lock
+  const findRedeemable = (code, context) =>
+    sequelize.transaction((transaction) =>
+      promoCodeService.findRedeemable(
+        code,
+        { event, tier: null, userId: "user1", ...context },
+        transaction
+      )
+    );
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  beforeEach(async () => {
+    event = await Event.create({
+      name: "Promo Event",
+      totalTickets: 5,
+      availableTickets: 5,
+    });
+  });
+
+  afterEach(async () => {
+    await PromoCode.destroy({ where: {} });
+    await Event.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test("should store codes in upper case and refuse duplicates", async () => {
+    const created = await promoCodeService.createPromoCode("admin1", {
+      code: "summer",
+      discountType: "percent",
+      discountValue: 10,
+    });
+
+    expect(created.code).toBe("SUMMER");
+    expect(created.eventId).toBeNull();
+    await expect(
+      promoCodeService.createPromoCode("admin1", {
+        code: "Summer",
+        discountType: "fixed",
+        discountValue: 5,
+        currency: "USD",
+      })
+    ).rejects.toThrow("Promo code SUMMER already exists");
+  });
+
+  test("should refuse inconsistent codes", async () => {
+    await expect(
+      promoCodeService.createPromoCode("org1", {
+        code: "TOOMUCH",
+        discountType: "percent",
+        discountValue: 120,
+      })
+    ).rejects.toThrow("A percentage discount can't exceed 100");
+    await expect(
+      promoCodeService.createPromoCode("org1", {
+        code: "NOTIER",
+        discountType: "percent",
+        discountValue: 10,
+        eventId: event.id,
+        tierId: "00000000-0000-0000-0000-000000000000",
+      })
+    ).rejects.toThrow("Ticket tier not found for this event");
+  });
+
+  test("should keep fixed discounts to events in their currency", async () => {
+    await expect(
+      promoCodeService.createPromoCode("admin1", {
+        code: "FIVEOFF",
+        discountType: "fixed",
+        discountValue: 5,
+      })
+    ).rejects.toThrow("A fixed promo code for every event needs a currency");
+    await expect(
+      promoCodeService.createPromoCode("org1", {
+        code: "FIVEOFF",
+        discountType: "fixed",
+        discountValue: 5,
+        currency: "EUR",
+        eventId: event.id,
+      })
+    ).rejects.toThrow("Promo code currency must be the event's (USD)");
+
+    const own = await promoCodeService.createPromoCode("org1", {
+      code: "OWNFIVE",
+      discountType: "fixed",
+      discountValue: 5,
+      eventId: event.id,
+    });
+    expect(own.currency).toBe("USD");
+
+    await promoCodeService.createPromoCode("admin1", {
+      code: "EUROFIVE",
+      discountType: "fixed",
+      discountValue: 5,
+      currency: "EUR",
+    });
+    await expect(findRedeemable("EUROFIVE")).rejects.toThrow(
+      "Promo code is in EUR, this event is priced in USD"
+    );
+  });
+
+  test("should only be usable inside its validity window", async () => {
+    await promoCodeService.createPromoCode("org1", {
+      code: "LATER",
+      discountType: "percent",
+      discountValue: 10,
+      validFrom: new Date(Date.now() + DAY_MS),
+    });
+    await promoCodeService.createPromoCode("org1", {
+      code: "GONE",
+      discountType: "percent",
+      discountValue: 10,
+      validFrom: new Date(Date.now() - 2 * DAY_MS),
+      validUntil: new Date(Date.now() - DAY_MS),
+    });
+
+    await expect(findRedeemable("later")).rejects.toThrow(
+      "Promo code is not valid yet"
+    );
+    await expect(findRedeemable("gone")).rejects.toThrow(
+      "Promo code has expired"
+    );
+  });
+
+  test("should only be usable for its tier", async () => {
+    const [vip, standard] = await TicketTier.bulkCreate([
+      { eventId: event.id, name: "VIP", totalTickets: 2, availableTickets: 2 },
+      {
+        eventId: event.id,
+        name: "Standard",
+        totalTickets: 3,
+        availableTickets: 3,
+      },
+    ]);
+    await promoCodeService.createPromoCode("org1", {
+      code: "VIPONLY",
+      discountType: "percent",
+      discountValue: 10,
+      eventId: event.id,
+      tierId: vip.id,
+    });
+
+    await expect(findRedeemable("VIPONLY", { tier: standard })).rejects.toThrow(
+      "Promo code is not valid for this ticket tier"
+    );
+    const found = await findRedeemable("VIPONLY", { tier: vip });
+    expect(found.tierId).toBe(vip.id);
+  });
+
+  test("should never discount more than the subtotal", () => {
+    expect(
+      discountCents({ discountType: "percent", discountValue: "15" }, 3333)
+    ).toBe(500);
+    expect(
+      discountCents({ discountType: "fixed", discountValue: "50.00" }, 2000)
+    ).toBe(2000);
+  });
+});
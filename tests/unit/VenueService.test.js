@@ -0,0 +1,206 @@
+/**
+ * Unit Tests for VenueService
+ *
+ * WHAT IT TESTS:
+ * - Creating venues with seat maps
+ * - Attaching a seat map to an event
+ * - The per-section seat availability grid
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import sequelize from "../../src/config/database.js";
+import {
+  Event,
+  Booking,
+  WaitingList,
+  Venue,
+  Seat,
+} from "../../src/models/index.js";
+import venueService from "../../src/services/VenueService.js";
+import bookingService from "../../src/services/BookingService.js";
+import eventService from "../../src/services/EventService.js";
+
+describe("VenueService", () => {
+  const theatre = {
+    name: "Grand Theatre",
+    address: "1 Stage Road",
+    sections: [
+      {
+        name: "Stalls",
+        rows: [
+          { row: "A", seats: 3 },
+          { row: "B", seats: 4 },
+        ],
+      },
+      { name: "Balcony", rows: [{ row: "A", seats: 2 }] },
+    ],
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterEach(async () => {
+    await WaitingList.destroy({ where: {} });
+    await Booking.destroy({ where: {} });
+    await Event.destroy({ where: {} });
+    await Venue.destroy({ where: {} });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  // ============= CREATE VENUE TESTS =============
+
+  describe("createVenue", () => {
+    test("should create sections with numbered seats per row", async () => {
+      const venue = await venueService.createVenue("org1", theatre);
+
+      expect(venue.name).toBe("Grand Theatre");
+      expect(venue.ownerId).toBe("org1");
+      expect(venue.sections.map((s) => [s.name, s.seatCount])).toEqual([
+        ["Stalls", 7],
+        ["Balcony", 2],
+      ]);
+
+      const stalls = venue.sections[0];
+      const rowB = await Seat.findAll({
+        where: { sectionId: stalls.id, row: "B" },
+        order: [["number", "ASC"]],
+      });
+      expect(rowB.map((seat) => seat.number)).toEqual([1, 2, 3, 4]);
+      expect(rowB[0].rowIndex).toBe(1);
+    });
+
+    test("should fetch a venue with its sections", async () => {
+      const created = await venueService.createVenue("org1", theatre);
+
+      const venue = await venueService.getVenue(created.id);
+
+      expect(venue.sections.map((s) => s.name)).toEqual(["Balcony", "Stalls"]);
+    });
+
+    test("should throw for unknown venues", async () => {
+      await expect(
+        venueService.getVenue("00000000-0000-0000-0000-000000000000")
+      ).rejects.toThrow("Venue not found");
+    });
+  });
+
+  // ============= ATTACH SEAT MAP TESTS =============
+
+  describe("attachSeatMap", () => {
+    let venue;
+    let event;
+
+    beforeEach(async () => {
+      venue = await venueService.createVenue("org1", theatre);
+      event = await bookingService.initializeEvent("Hamlet", 1, "org1");
+    });
+
+    test("should make the seats the event's tickets", async () => {
+      const result = await venueService.attachSeatMap(event.id, venue.id);
+
+      expect(result.event.venueId).toBe(venue.id);
+      expect(result.event.totalTickets).toBe(9);
+      expect(result.event.availableTickets).toBe(9);
+      expect(result.event.venueName).toBe("Grand Theatre");
+      expect(result.sections).toHaveLength(2);
+    });
+
+    test("should only attach to draft events", async () => {
+      await bookingService.changeEventStatus(event.id, "on_sale");
+
+      await expect(
+        venueService.attachSeatMap(event.id, venue.id)
+      ).rejects.toThrow("Seat maps can only be attached to draft events");
+    });
+
+    test("should keep the presale cap below the seat count", async () => {
+      const presaleEvent = await bookingService.initializeEvent(
+        "Hamlet Presale",
+        100,
+        "org1",
+        {
+          salesStartAt: new Date(Date.now() + 60 * 60 * 1000),
+          presaleStartAt: new Date(Date.now() - 60 * 60 * 1000),
+          presaleCapacity: 9,
+          presaleAccessCodes: ["FANCLUB"],
+        }
+      );
+
+      // The theatre has 9 seats: as many as the cap
+      await expect(
+        venueService.attachSeatMap(presaleEvent.id, venue.id)
+      ).rejects.toThrow("Presale capacity must be below the event's tickets");
+
+      const unchanged = await Event.findByPk(presaleEvent.id);
+      expect(unchanged.venueId).toBeNull();
+      expect(unchanged.totalTickets).toBe(100);
+    });
+
+    test("should not mix seat maps and ticket tiers", async () => {
+      await eventService.addTier(event.id, { name: "VIP", totalTickets: 5 });
+
+      await expect(
+        venueService.attachSeatMap(event.id, venue.id)
+      ).rejects.toThrow("Events with ticket tiers can't use a seat map");
+    });
+  });
+
+  // ============= SEAT AVAILABILITY TESTS =============
+
+  describe("getSeatAvailability", () => {
+    let event;
+    let stalls;
+
+    beforeEach(async () => {
+      const venue = await venueService.createVenue("org1", theatre);
+      stalls = venue.sections.find((s) => s.name === "Stalls");
+      event = await bookingService.initializeEvent("Hamlet", 1, "org1");
+      await venueService.attachSeatMap(event.id, venue.id);
+      await bookingService.changeEventStatus(event.id, "on_sale");
+    });
+
+    test("should show each seat's status row by row", async () => {
+      const before = await venueService.getSeatAvailability(
+        event.id,
+        stalls.id
+      );
+      const [a1, a2] = before.rows[0].seats;
+
+      await bookingService.bookTicket(event.id, "user1", 1, {
+        seatIds: [a1.seatId],
+      });
+      await bookingService.holdTicket(event.id, "user2", 1, {
+        seatIds: [a2.seatId],
+      });
+
+      const grid = await venueService.getSeatAvailability(event.id, stalls.id);
+
+      expect(grid.sectionName).toBe("Stalls");
+      expect(grid.totalSeats).toBe(7);
+      expect(grid.availableSeats).toBe(5);
+      expect(grid.rows.map((r) => r.row)).toEqual(["A", "B"]);
+      expect(grid.rows[0].seats.map((s) => s.status)).toEqual([
+        "booked",
+        "held",
+        "available",
+      ]);
+    });
+
+    test("should reject sections from another venue", async () => {
+      const other = await venueService.createVenue("org2", {
+        name: "Other Hall",
+        sections: [{ name: "Floor", rows: [{ row: "A", seats: 1 }] }],
+      });
+
+      await expect(
+        venueService.getSeatAvailability(event.id, other.sections[0].id)
+      ).rejects.toThrow("Section not found");
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for the refund policy
+ *
+ * WHAT IT TESTS:
+ * - Which share of the price a cancellation gets back, by how close to
+ *   the event it happens (pure functions: no database)
+ * - Rejecting policies that contradict themselves
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import {
+  assertValidRefundPolicy,
+  refundPercent,
+} from "../../src/utils/refundPolicy.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("refundPercent", () => {
+  const policy = {
+    fullRefundHours: 72,
+    partialRefundPercent: 50,
+    noRefundHours: 24,
+  };
+  const now = new Date("2026-06-01T12:00:00Z");
+  const startsIn = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+  test("should refund in full up to fullRefundHours before the start", () => {
+    expect(refundPercent(policy, startsIn(100), now)).toBe(100);
+    expect(refundPercent(policy, startsIn(72), now)).toBe(100);
+  });
+
+  test("should refund partialRefundPercent in between", () => {
+    expect(refundPercent(policy, startsIn(71), now)).toBe(50);
+    expect(refundPercent(policy, startsIn(24), now)).toBe(50);
+  });
+
+  test("should refund nothing within noRefundHours or after the start", () => {
+    expect(refundPercent(policy, startsIn(23), now)).toBe(0);
+    expect(refundPercent(policy, startsIn(-5), now)).toBe(0);
+  });
+
+  test("should refund in full without a policy or a start time", () => {
+    expect(refundPercent(null, startsIn(1), now)).toBe(100);
+    expect(refundPercent(policy, null, now)).toBe(100);
+  });
+});
+
+describe("assertValidRefundPolicy", () => {
+  test("should accept a consistent policy, or none", () => {
+    expect(() =>
+      assertValidRefundPolicy({
+        fullRefundHours: 48,
+        partialRefundPercent: 25,
+        noRefundHours: 48,
+      })
+    ).not.toThrow();
+    expect(() => assertValidRefundPolicy(null)).not.toThrow();
+  });
+
+  test("should reject missing or out of range values", () => {
+    expect(() =>
+      assertValidRefundPolicy({ fullRefundHours: 48, noRefundHours: 12 })
+    ).toThrow(
+      "Refund policy partialRefundPercent must be a non-negative integer"
+    );
+    expect(() =>
+      assertValidRefundPolicy({
+        fullRefundHours: 48,
+        partialRefundPercent: 150,
+        noRefundHours: 12,
+      })
+    ).toThrow("Refund policy partialRefundPercent can't exceed 100");
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the seat allocator
+ *
+ * WHAT IT TESTS:
+ * - Best-available allocation on small, fixed seat maps
+ *   (pure function: no database, same input → same seats every time)
+ *
+ * HOW TO RUN:
+ * npm run test:unit
+ */
+
+import { findBestSeats } from "../../src/utils/seatAllocator.js";
+
+// Build a section's seats from { row: seatCount } in front-to-back order
+// Seat ids look like "Stalls-A3"
+const buildSeats = (sectionId, rows) =>
+  Object.entries(rows).flatMap(([row, count], rowIndex) =>
+    Array.from({ length: count }, (_, i) => ({
+      id: `${sectionId}-${row}${i + 1}`,
+      sectionId,
+      row,
+      rowIndex,
+      number: i + 1,
+    }))
+  );
+
+const labels = (seats) => seats && seats.map((seat) => seat.id);
+
+describe("findBestSeats", () => {
+  // Stalls (priority 1): A has 6 seats, B has 8
+  // Balcony (priority 2): A has 4 seats
+  const sections = [
+    { id: "Balcony", name: "Balcony", priority: 2 },
+    { id: "Stalls", name: "Stalls", priority: 1 },
+  ];
+  const seats = [
+    ...buildSeats("Balcony", { A: 4 }),
+    ...buildSeats("Stalls", { A: 6, B: 8 }),
+  ];
+
+  test("should pick the centre of the front row of the best section", () => {
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: [],
+      quantity: 2,
+    });
+
+    expect(labels(block)).toEqual(["Stalls-A3", "Stalls-A4"]);
+  });
+
+  test("should prefer the lower block when two are equally central", () => {
+    // Row A centre is 3.5: blocks 2-4 and 3-5 are both 0.5 away
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: [],
+      quantity: 3,
+    });
+
+    expect(labels(block)).toEqual(["Stalls-A2", "Stalls-A3", "Stalls-A4"]);
+  });
+
+  test("should only return seats that are next to each other", () => {
+    // Row A: 1 2 _ 4 5 _  → no 3 together, falls back to row B
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: ["Stalls-A3", "Stalls-A6"],
+      quantity: 3,
+    });
+
+    expect(labels(block)).toEqual(["Stalls-B3", "Stalls-B4", "Stalls-B5"]);
+  });
+
+  test("should move off-centre before moving back a row", () => {
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: ["Stalls-A3", "Stalls-A4"],
+      quantity: 2,
+    });
+
+    expect(labels(block)).toEqual(["Stalls-A1", "Stalls-A2"]);
+  });
+
+  test("should fall back to a lower-priority section", () => {
+    const stallsSeats = seats
+      .filter((seat) => seat.sectionId === "Stalls")
+      .map((seat) => seat.id);
+
+    const block = findBestSeats({
+      sections,
+      seats,
+      takenSeatIds: stallsSeats,
+      quantity: 4,
+    });
+
+    expect(labels(block)).toEqual([
+      "Balcony-A1",
+      "Balcony-A2",
+      "Balcony-A3",
+      "Balcony-A4",
+    ]);
+  });
+
+  test("should return null when no row has enough seats together", () => {
+    expect(
+      findBestSeats({ sections, seats, takenSeatIds: [], quantity: 9 })
+    ).toBeNull();
+  });
+
+  test("should not depend on the order seats are passed in", () => {
+    const shuffled = [...seats].reverse();
+
+    const block = findBestSeats({
+      sections,
+      seats: shuffled,
+      takenSeatIds: ["Stalls-A3"],
+      quantity: 2,
+    });
+
+    expect(labels(block)).toEqual(["Stalls-A4", "Stalls-A5"]);
+  });
+});